@@ -1,21 +1,161 @@
+const fs = require('fs');
 const path = require('path');
+const url = require('url');
+const Module = require('module');
+const EventEmitter = require('events');
 const oset = require('object-set');
 const omerge = require('deepmerge');
+const graph = require('./graph');
+const interpolate = require('./interpolate');
+const schema = require('./schema');
+const testing = require('./testing');
+const discover = require('./discovery');
+const ArchitectErrors = require('./errors');
 
 const DEFAULT_STARTUP_TIMEOUT = 5000;
 const DEFAULT_SHUTDOWN_TIMEOUT = 5000;
+const DEFAULT_RETRY_DELAY = 100;
+const DEFAULT_RETRY_FACTOR = 2;
+const FORCE_EXIT_DELAY = 100;
 
 function values(object) {
   return Object.keys(object).map(key => object[key]);
 }
 
+function combineErrors(list) {
+  if (list.length === 1) {
+    return list[0];
+  }
+
+  return new ArchitectErrors.ArchitectError(list.map(error => error.message).join('\n'), {
+    code: 'E_MULTIPLE_ERRORS',
+    errors: list
+  });
+}
+
+/**
+ * Describe services which are not started for an error message.
+ *
+ * @param {Object} pending - { starting, awaiting: { name: blockedBy } }
+ *
+ * @return {String}
+ */
+function describePending(pending) {
+  const awaiting = Object.keys(pending.awaiting).map(name => {
+    const blockedBy = pending.awaiting[name];
+
+    return blockedBy.length > 0 ? name + ' (blocked by ' + blockedBy.join(', ') + ')' : name;
+  });
+
+  return '\nStarting: ' + (pending.starting.join(', ') || 'none') +
+    '\nAwaiting: ' + (awaiting.join(', ') || 'none');
+}
+
+function readConfig(file) {
+  if (path.extname(file) === '.json') {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // modules are cached, so each application gets its own copy of the config.
+  return omerge({}, require(file), { clone: true });
+}
+
+// hidden from the transpiler, which would turn `import()` into `require()`.
+const dynamicImport = new Function('specifier', 'return import(specifier);');
+
+/**
+ * Returns `true` when the file is ES module: `.mjs` file or `.js` file
+ * of the package having `"type": "module"` in the closest `package.json`.
+ *
+ * @param {String} file - resolved file path
+ *
+ * @return {Boolean}
+ */
+function isESModule(file) {
+  const ext = path.extname(file);
+
+  if (ext === '.mjs') {
+    return true;
+  }
+
+  if (ext !== '.js') {
+    return false;
+  }
+
+  let dir = path.dirname(file);
+
+  while (true) {
+    const packageFile = path.join(dir, 'package.json');
+
+    if (fs.existsSync(packageFile)) {
+      return JSON.parse(fs.readFileSync(packageFile, 'utf8')).type === 'module';
+    }
+
+    if (path.dirname(dir) === dir) {
+      return false;
+    }
+
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Returns default export of ES module (native or transpiled)
+ * or CommonJS module as is.
+ *
+ * @param {*} module
+ *
+ * @return {*}
+ */
+function getDefault(module) {
+  const isNamespace = module && module[Symbol.toStringTag] === 'Module';
+
+  if ((isNamespace || module.__esModule) && module['default']) {
+    return module['default'];
+  }
+
+  return module;
+}
+
+function isForbiddenName(name) {
+  return name === 'require' || name === 'requireDefault';
+}
+
 function makeDictionary(array) {
   const newObject = {};
   array.forEach(name => newObject[name] = name);
   return newObject;
 }
 
-class Architect {
+/**
+ * Parse dependency declaration.
+ * Dependency prefixed with `?` is optional.
+ *
+ * @param {String} dependency
+ *
+ * @return {Object} { name, optional }
+ */
+function parseDependency(dependency) {
+  if (dependency[0] === '?') {
+    return { name: dependency.substr(1), optional: true };
+  }
+
+  return { name: dependency, optional: false };
+}
+
+/**
+ * Emits lifecycle events:
+ *  - `service:deferred` (name)
+ *  - `service:starting` (name)
+ *  - `service:retrying` (name, error, attempt)
+ *  - `service:started` (name, service)
+ *  - `service:failed` (name, error)
+ *  - `service:stopping` (name)
+ *  - `service:stopped` (name)
+ *  - `app:started` (resolved)
+ *  - `app:stopped`
+ */
+class Architect extends EventEmitter {
 
   /**
    * @constructor
@@ -24,6 +164,8 @@ class Architect {
    * @param {String} [basePath] - the path relative to which all modules are located.
    */
   constructor(config, basePath) {
+    super();
+
     config = config || {};
 
     this.config = config;
@@ -31,38 +173,175 @@ class Architect {
     this.services = config.services || {};
     this.startupTimeout = config.startup_timeout || DEFAULT_STARTUP_TIMEOUT;
     this.shutdownTimeout = config.shutdown_timeout || DEFAULT_SHUTDOWN_TIMEOUT;
+    this.startupDeadline = config.startup_deadline || 0;
 
     this.ignored = {};
     this.starting = {};
+    this.lazyStarting = {};
     this.resolved = {};
     this.teardown = {};
+    this.timers = {};
+    this.startups = {};
+    this.timings = {};
+    this.stopping = {};
+    this.deferred = {};
+    this.halted = {};
+    this.failures = {};
 
     this.promise = null;
+    this.rollback = null;
+    this.startTime = null;
+    this.deadlineTimer = null;
+    this.failed = false;
     this.started = false;
+    this.stopped = false;
     this.executed = false;
     this.basePath = basePath || '.';
     this.awaiting = Object.keys(this.services);
 
     this._require = this.require.bind(this);
     this._requireDefault = this.requireDefault.bind(this);
+    this._import = this.import.bind(this);
+    this._importDefault = this.importDefault.bind(this);
   }
 
-  require(modulePath) {
-    const realPath = modulePath[0] === '/'
-      ? modulePath
-      : path.join(this.basePath, modulePath);
+  /**
+   * Create an application from the config file (JSON or JS).
+   * When `env` is given the overlay file `<name>.<env>.<ext>` located
+   * next to the config is merged into it, if exists.
+   *
+   * @param {String} file - config file path
+   * @param {Object} [options]
+   * @param {String} [options.env] - environment name
+   * @param {String} [options.basePath] - modules location relative to the config directory
+   *
+   * @return {Architect}
+   */
+  static fromFile(file, options) {
+    options = options || {};
+
+    const configPath = path.resolve(file);
+    const configDir = path.dirname(configPath);
 
-    return require(realPath);
+    let config = readConfig(configPath);
+
+    if (options.env) {
+      const ext = path.extname(configPath);
+      const overlayPath = path.join(
+        configDir,
+        path.basename(configPath, ext) + '.' + options.env + ext
+      );
+
+      if (fs.existsSync(overlayPath)) {
+        config = omerge(config, readConfig(overlayPath));
+      }
+    }
+
+    return new Architect(config, path.resolve(configDir, options.basePath || '.'));
   }
 
-  requireDefault(modulePath) {
-    const module = this.require(modulePath);
+  /**
+   * Create and start an application for tests, see `testing.js`.
+   *
+   * @param {Object} config - application config
+   * @param {Object} [options] - `overrides`, `only` and `basePath`
+   *
+   * @return {Promise} resolves with the started application
+   */
+  static createTestApp(config, options) {
+    return testing.createTestApp(this, config, options);
+  }
+
+  /**
+   * Shutdown all applications created by `createTestApp`.
+   *
+   * @return {Promise}
+   */
+  static stopTestApps() {
+    return testing.stopTestApps();
+  }
+
+  /**
+   * Resolve module path to the file.
+   * Absolute paths are resolved as is, relative ones (`./`, `../`) are joined with `basePath`.
+   * Other paths are joined with `basePath` too when the module exists there,
+   * otherwise they are resolved as packages (`package` or `package/subpath`)
+   * through Node module resolution from `basePath`.
+   *
+   * @param {String} modulePath
+   *
+   * @return {String}
+   */
+  resolve(modulePath) {
+    const basePath = path.resolve(this.basePath);
+    const joinedPath = path.resolve(basePath, modulePath);
+    const isPath = path.isAbsolute(modulePath) || /^\.\.?(\/|$)/.test(modulePath);
+
+    const lookupPaths = isPath
+      ? [joinedPath]
+      : [joinedPath].concat(Module._nodeModulePaths(basePath));
+
+    try {
+      return require.resolve(joinedPath);
+    } catch (e) {
+      // not found relative to `basePath`, try to find the package.
+    }
 
-    if (module.__esModule && module['default']) {
-      return module['default'];
+    try {
+      if (!isPath) {
+        return require.resolve(modulePath, { paths: [basePath] });
+      }
+    } catch (e) {
+      // reported below.
     }
 
-    return module;
+    const error = new Error(
+      'Cannot find module `' + modulePath + '`. Tried:\n  ' + lookupPaths.join('\n  ')
+    );
+    error.code = 'MODULE_NOT_FOUND';
+
+    throw error;
+  }
+
+  require(modulePath) {
+    return require(this.resolve(modulePath));
+  }
+
+  requireDefault(modulePath) {
+    return getDefault(this.require(modulePath));
+  }
+
+  /**
+   * Load CommonJS or ES module.
+   * `.mjs` files and `.js` files of packages with `"type": "module"`
+   * are imported, other ones are required.
+   *
+   * @param {String} modulePath
+   *
+   * @return {Promise}
+   */
+  import(modulePath) {
+    return Promise.resolve()
+      .then(() => {
+        const realPath = this.resolve(modulePath);
+
+        if (isESModule(realPath)) {
+          return dynamicImport(url.pathToFileURL(realPath).href);
+        }
+
+        return require(realPath);
+      });
+  }
+
+  /**
+   * Load CommonJS or ES module and return its default export.
+   *
+   * @param {String} modulePath
+   *
+   * @return {Promise}
+   */
+  importDefault(modulePath) {
+    return this.import(modulePath).then(getDefault);
   }
 
   /**
@@ -84,11 +363,62 @@ class Architect {
     this.awaiting.push(name);
   }
 
+  /**
+   * Register services from installed packages declaring `architect` field
+   * in `package.json` (see `discovery.js`).
+   * When the service is already in the config, the config takes precedence:
+   * its options are merged over the package ones and missing fields are
+   * taken from the package.
+   *
+   * @param {String} [directory] - directory to scan, `<basePath>/node_modules` by default
+   *
+   * @return {Array} names of discovered services
+   */
+  discover(directory) {
+    const found = discover(directory || path.resolve(this.basePath, 'node_modules'));
+    const names = {};
+
+    found.forEach(plugin => {
+      const name = plugin.name;
+      const spec = plugin.spec;
+
+      if (name in names) {
+        throw new Error(
+          'Cannot discover service `' + name + '`. The service is declared by ' +
+          names[name] + ' and ' + spec.path + '.'
+        );
+      }
+
+      names[name] = spec.path;
+
+      if (!(name in this.services)) {
+        this.addService(name, spec);
+        return;
+      }
+
+      const service = this.services[name];
+
+      Object.keys(spec).forEach(key => {
+        if (key === 'options' || key in service || (key === 'path' && service.module)) {
+          return;
+        }
+
+        service[key] = spec[key];
+      });
+
+      if (spec.options) {
+        service.options = omerge(spec.options, service.options || {});
+      }
+    });
+
+    return Object.keys(names);
+  }
+
   /**
    * Add new dependency to service.
    *
    * @param {String} name - service name
-   * @param {String} dependency - dependency name
+   * @param {String} dependency - dependency name, prefixed with `?` when optional
    * @param {String} [alias] - alternative dependency name
    */
   addDependency(name, dependency, alias) {
@@ -106,13 +436,16 @@ class Architect {
 
     if (alias && Array.isArray(this.services[name].dependencies)) {
       this.services[name].dependencies =
-        makeDictionary(this.services[name].dependencies);
+        this.getDependencyNames(this.services[name]).reduce((dictionary, key, i) => {
+          dictionary[key] = this.services[name].dependencies[i];
+          return dictionary;
+        }, {});
     }
 
     if (Array.isArray(this.services[name].dependencies)) {
       this.services[name].dependencies.push(dependency);
     } else {
-      this.services[name].dependencies[alias || dependency] = dependency;
+      this.services[name].dependencies[alias || parseDependency(dependency).name] = dependency;
     }
   }
 
@@ -158,63 +491,455 @@ class Architect {
     return this.config;
   }
 
+  /**
+   * Returns the service dependency graph.
+   *
+   * @param {Object} [options]
+   * @param {String} [options.format] - `json` (default), `dot` or `mermaid`
+   *
+   * @return {Object|String} adjacency object for `json` and text otherwise
+   */
+  getGraph(options) {
+    const format = (options && options.format) || 'json';
+    const adjacency = {};
+
+    Object.keys(this.services).forEach(name => {
+      const service = this.services[name];
+      const dependencies = service.dependencies || [];
+      const aliases = Array.isArray(dependencies)
+        ? this.getDependencyNames(service)
+        : Object.keys(dependencies);
+
+      adjacency[name] = {
+        ignored: Boolean(service.ignore),
+        dependencies: this.getDependencies(service).map((declaration, i) => {
+          const dependency = parseDependency(declaration);
+
+          return {
+            name: dependency.name,
+            alias: aliases[i],
+            optional: dependency.optional
+          };
+        })
+      };
+    });
+
+    switch (format) {
+      case 'json':
+        return adjacency;
+      case 'dot':
+        return graph.toDot(adjacency);
+      case 'mermaid':
+        return graph.toMermaid(adjacency);
+      default:
+        throw new Error('Unknown graph format `' + format + '`.');
+    }
+  }
+
   /**
    * Run an application.
+   * When `startup_deadline` is set the whole startup is limited by it.
+   *
+   * @param {Object} [options]
+   * @param {Array} [options.only] - start only given services and their dependencies
    *
    * @return {Promise}
    */
-  execute() {
+  execute(options) {
+    const only = options && options.only;
+
     if (this.executed) {
       throw new Error('Cannot execute the application twice.');
     }
 
+    this.fillIgnored(only);
+
     try {
-      this.checkConstraints();
+      this.checkConstraints(only);
     } catch (e) {
       return Promise.reject(e);
     }
 
-    this.fillIgnored();
     this.cleanAwaiting();
 
     return new Promise((resolve, reject) => {
       this.promise = { resolve, reject };
       this.executed = true;
+      this.startTime = Date.now();
+      this.setDeadline();
       this.nextRound();
     });
   }
 
+  /**
+   * Compute the startup plan without requiring or starting any module.
+   * Each wave contains services which would start in parallel
+   * once all services of previous waves are started,
+   * lazy services are listed as `deferred` instead.
+   *
+   * @param {Object} [options]
+   * @param {Array} [options.only] - plan only given services and their dependencies
+   *
+   * @return {Object} { waves, deferred, ignored, errors }
+   */
+  plan(options) {
+    const only = options && options.only;
+    const names = Object.keys(this.services);
+    const ignored = this.findIgnored(names, only);
+
+    const waves = [];
+    const deferred = [];
+    const planned = {};
+    const errors = this.findSelectionErrors(only)
+      .concat(this.findConstraintErrors(names, ignored));
+
+    const isReady = name => {
+      return this.getDependencies(this.services[name]).every(declaration => {
+        const dependency = parseDependency(declaration);
+
+        return this.isSkippedDependency(dependency, ignored) || dependency.name in planned;
+      });
+    };
+
+    let awaiting = names.filter(name => !(name in ignored));
+
+    while (awaiting.length > 0) {
+      let lazy = awaiting.filter(name => this.services[name].lazy && isReady(name));
+
+      // lazy services are deferred without a wave, as soon as dependencies are ready.
+      while (lazy.length > 0) {
+        lazy.forEach(name => {
+          planned[name] = true;
+          deferred.push(name);
+        });
+        awaiting = awaiting.filter(name => !(name in planned));
+        lazy = awaiting.filter(name => this.services[name].lazy && isReady(name));
+      }
+
+      const wave = awaiting.filter(isReady);
+
+      if (wave.length === 0) {
+        break;
+      }
+
+      wave.forEach(name => planned[name] = true);
+      awaiting = awaiting.filter(name => !(name in planned));
+      waves.push(wave);
+    }
+
+    return { waves, deferred, ignored: Object.keys(ignored), errors };
+  }
+
   /**
    * Graceful shutdown an application.
    *
    * @return {Promise}
    */
   shutdown() {
-    const promise = [];
-
     if (!this.started) {
       throw new Error('The application cannot gracefully shutdown until fully started.');
     }
 
-    for (const name in this.teardown) {
-      promise.push(this.teardown[name]());
+    if (this.stopped) {
+      throw new Error('The application has already been shut down.');
     }
 
+    this.stopped = true;
+
+    return this
+      .stopServices(Object.keys(this.teardown))
+      .then(errors => {
+        if (errors.length > 0) {
+          throw combineErrors(errors);
+        }
+
+        this.emit('app:stopped');
+      });
+  }
+
+  /**
+   * Check health of started services having `health` method.
+   * The service is unhealthy when `health` returns `false`, throws or rejects.
+   *
+   * @return {Promise} resolves with `{ healthy, services: { name: { healthy, details, error } } }`
+   */
+  checkHealth() {
+    const names = Object.keys(this.resolved).filter(name => {
+      const service = this.resolved[name];
+
+      return service !== null && typeof service === 'object' && typeof service.health === 'function';
+    });
+
+    return Promise
+      .all(names.map(name => {
+        return Promise.resolve()
+          .then(() => this.resolved[name].health())
+          .then(
+            details => ({ healthy: details !== false, details }),
+            error => ({ healthy: false, error })
+          );
+      }))
+      .then(results => {
+        const services = {};
+
+        names.forEach((name, i) => services[name] = results[i]);
+
+        return { healthy: results.every(result => result.healthy), services };
+      });
+  }
+
+  /**
+   * Returns the state of every service, which is one of `awaiting`, `ignored`,
+   * `deferred` (lazy, not used yet), `starting`, `started`, `stopping`, `stopped` or `failed`.
+   * `blockedBy` lists unresolved dependencies of an awaiting service,
+   * `error` is the reason of a failed one.
+   *
+   * @return {Object} { name: { state, blockedBy, error } }
+   */
+  getStatus() {
+    const status = {};
+
+    Object.keys(this.services).forEach(name => {
+      const blockedBy = this.awaiting.indexOf(name) !== -1
+        ? this.findBlockingDependencies(this.services[name])
+        : [];
+
+      status[name] = { state: this.getState(name), blockedBy };
+
+      if (name in this.failures) {
+        status[name].error = this.failures[name];
+      }
+    });
+
+    return status;
+  }
+
+  /**
+   * Returns the startup profile.
+   * Times are milliseconds since the application execution:
+   *  - `eligible` - all dependencies of the service are resolved;
+   *  - `invoked` - the module function is called, after the module is loaded;
+   *  - `resolved` - the service is started;
+   *  - `duration` - time from `eligible` to `resolved`.
+   * The critical path is the chain of services ended by the last started one,
+   * where each service is preceded by its dependency resolved last.
+   * Lazy services, which are started on the first use, are not on the path.
+   *
+   * @return {Object} { total, services: { name: { eligible, invoked, resolved, duration } }, criticalPath }
+   */
+  getTimings() {
+    const services = {};
+    let total = 0;
+
+    Object.keys(this.timings).forEach(name => {
+      const timing = Object.assign({}, this.timings[name]);
+
+      if ('resolved' in timing) {
+        timing.duration = timing.resolved - timing.eligible;
+      }
+
+      if ('resolved' in timing && !timing.lazy) {
+        total = Math.max(total, timing.resolved);
+      }
+
+      services[name] = timing;
+    });
+
+    return { total, services, criticalPath: this.findCriticalPath() };
+  }
+
+  /**
+   * Gracefully shutdown the application on process signals.
+   * The signal received during the startup aborts it and rolls back started services.
+   * On failure the exit code is set to 1 and the process exits,
+   * when the shutdown lasts longer than the timeout or the signal
+   * is received again the process exits immediately.
+   *
+   * @param {Object} [options]
+   * @param {Array} [options.signals] - signals to handle, `SIGINT` and `SIGTERM` by default
+   * @param {Number} [options.timeout] - force exit timeout, by default the longest chain
+   *   of `shutdown_timeout` of services stopped one after another
+   * @param {Function} [options.onError] - shutdown error handler, prints the error by default
+   * @param {Object} [options.process] - process object, the global one by default
+   *
+   * @return {Function} removes the signal handlers
+   */
+  attachToProcess(options) {
+    options = options || {};
+
+    const proc = options.process || process;
+    const signals = options.signals || ['SIGINT', 'SIGTERM'];
+    const onError = options.onError || (error => console.error(error.stack));
+
+    let stopping = false;
+
+    const onSignal = () => {
+      if (stopping) {
+        proc.exit(1);
+        return;
+      }
+
+      stopping = true;
+
+      // services may be added after attaching, so the timeout is computed on signal.
+      const timeout = options.timeout || this.getShutdownTimeout() + FORCE_EXIT_DELAY;
+      const forceTimer = setTimeout(() => proc.exit(1), timeout);
+
+      // the timer must not keep the process alive after the shutdown.
+      if (forceTimer.unref) {
+        forceTimer.unref();
+      }
+
+      Promise.resolve()
+        .then(() => {
+          // the startup error is reported by `execute`.
+          if (this.executed && !this.started) {
+            proc.exitCode = 1;
+
+            return this.abort(new ArchitectErrors.ArchitectError(
+              'The application startup is interrupted',
+              { code: 'E_STARTUP_INTERRUPTED' }
+            ));
+          }
+
+          return this.shutdown();
+        })
+        .catch(error => {
+          proc.exitCode = 1;
+          onError(error);
+        })
+        .then(() => {
+          if (proc.exitCode) {
+            clearTimeout(forceTimer);
+            proc.exit(proc.exitCode);
+          }
+        });
+    };
+
+    const detach = () => {
+      signals.forEach(signal => proc.removeListener(signal, onSignal));
+    };
+
+    signals.forEach(signal => proc.on(signal, onSignal));
+
+    return detach;
+  }
+
+  /**
+   * Returns the longest total of `shutdown_timeout` along a chain of services,
+   * since each service is stopped after all its dependents.
+   *
+   * @private
+   *
+   * @return {Number}
+   */
+  getShutdownTimeout() {
+    const names = Object.keys(this.services);
+    const chains = {};
+
+    const chain = name => {
+      if (!(name in chains)) {
+        // guards against circular dependencies.
+        chains[name] = 0;
+
+        const dependents = names.filter(other => {
+          return this.getDependencyNames(this.services[other]).indexOf(name) !== -1;
+        });
+
+        chains[name] = (this.services[name].shutdown_timeout || this.shutdownTimeout) +
+          Math.max.apply(null, [0].concat(dependents.map(chain)));
+      }
+
+      return chains[name];
+    };
+
+    return Math.max.apply(null, [0].concat(names.map(chain)));
+  }
+
+  /**
+   * Stop given services in reverse dependency order.
+   * Each service is stopped after all its dependents are stopped,
+   * independent services are stopped in parallel.
+   *
+   * @private
+   *
+   * @param {Array} names - names of services to stop
+   *
+   * @return {Promise} resolves with errors occurred while stopping
+   */
+  stopServices(names) {
+    const errors = [];
+    const stopping = {};
+
+    const stop = name => {
+      if (!stopping[name]) {
+        const dependents = names.filter(other => {
+          return this.getDependencyNames(this.services[other]).indexOf(name) !== -1;
+        });
+
+        // a dependency is stopped even if one of its dependents failed to stop.
+        stopping[name] = Promise
+          .all(dependents.map(stop))
+          .then(() => this.stopService(name))
+          .catch(error => {
+            errors.push(error);
+          });
+      }
+
+      return stopping[name];
+    };
+
+    return Promise.all(names.map(stop)).then(() => errors);
+  }
+
+  /**
+   * Stop a given service.
+   * The service own `shutdown_timeout` takes precedence over the global one.
+   *
+   * @private
+   *
+   * @param {String} name - service name
+   *
+   * @return {Promise}
+   */
+  stopService(name) {
+    const service = this.services[name];
+    const timeout = service.shutdown_timeout || this.shutdownTimeout;
+
+    this.stopping[name] = true;
+    this.emit('service:stopping', name);
+
     return new Promise((resolve, reject) => {
       const shutdownTimer = setTimeout(() => {
-        reject(new Error('Timeout of shutdown is exceeded'));
-      }, this.shutdownTimeout);
+        reject(new ArchitectErrors.ShutdownTimeoutError(
+          'Timeout of shutdown module `' + name + '` is exceeded',
+          { serviceName: name }
+        ));
+      }, timeout);
 
-      Promise
-        .all(promise)
+      Promise.resolve()
+        .then(() => this.teardown[name]())
         .then(() => {
           clearTimeout(shutdownTimer);
           resolve();
         })
         .catch(error => {
           clearTimeout(shutdownTimer);
-          reject(error);
+          reject(new ArchitectErrors.ServiceShutdownError(
+            'Error occurs during module `' + name + '` shutdown.\n' + error.message,
+            { serviceName: name, cause: error }
+          ));
         });
+    })
+    .then(() => {
+      delete this.stopping[name];
+      this.halted[name] = true;
+      this.emit('service:stopped', name);
+    }, error => {
+      delete this.stopping[name];
+      this.failures[name] = error;
+      this.emit('service:failed', name, error);
+      throw error;
     });
   }
 
@@ -228,42 +953,227 @@ class Architect {
    */
   nextRound() {
     let startedInThisRound = 0;
+    let deferredInThisRound = 0;
 
-    for (let i = 0; i < this.awaiting.length; i++) {
-      const name = this.awaiting[i];
+    // `startService` removes the service from `awaiting`, so iterate over a copy.
+    this.awaiting.slice().forEach(name => {
       const service = this.services[name];
 
+      if (this.failed) return;
+
       if (this.checkDependencies(name, service)) {
-        this.startService(name, service);
-        startedInThisRound++;
+        if (service.lazy) {
+          this.deferService(name, service);
+          deferredInThisRound++;
+        } else {
+          this.startService(name, service);
+          startedInThisRound++;
+        }
       }
+    });
+
+    // dependents of deferred services are able to start right away.
+    if (deferredInThisRound > 0 && !this.failed) {
+      this.nextRound();
+      return;
     }
 
     if (this.awaiting.length === 0 && Object.keys(this.starting).length === 0) {
+      clearTimeout(this.deadlineTimer);
       this.started = true;
+      this.emit('app:started', this.resolved);
       this.promise.resolve(this.resolved);
       return;
     }
 
     if (startedInThisRound === 0) {
       if (Object.keys(this.starting).length === 0) {
-        this.promise.reject(new Error(
+        this.abort(new ArchitectErrors.CircularDependencyError(
           'Circular dependency detected while resolving ' +
-          this.awaiting.join(', ')
+          this.awaiting.join(', '),
+          { awaiting: this.awaiting.slice() }
         ));
       }
     }
   }
 
-  fillIgnored() {
-    for (let i = 0; i < this.awaiting.length; i++) {
-      const name = this.awaiting[i];
-      const service = this.services[name];
+  /**
+   * Abort the startup when it is not finished by the deadline.
+   *
+   * @private
+   */
+  setDeadline() {
+    if (!this.startupDeadline) return;
+
+    this.deadlineTimer = setTimeout(() => {
+      const pending = this.findPending();
+
+      // the deadline bounds the startup, so the rollback does not delay the rejection.
+      this.abort(new ArchitectErrors.StartupDeadlineError(
+        'Startup deadline of ' + this.startupDeadline + 'ms is exceeded' +
+        describePending(pending),
+        pending
+      ), true);
+    }, this.startupDeadline);
+  }
+
+  /**
+   * Returns services which are not started yet.
+   *
+   * @private
+   *
+   * @return {Object} { starting, awaiting: { name: blockedBy } }
+   */
+  findPending() {
+    const awaiting = {};
 
-      if (service.ignore) {
-        this.ignored[name] = 1;
+    this.awaiting.forEach(name => {
+      awaiting[name] = this.findBlockingDependencies(this.services[name]);
+    });
+
+    return {
+      starting: Object.keys(this.starting).concat(Object.keys(this.lazyStarting)),
+      awaiting
+    };
+  }
+
+  fillIgnored(only) {
+    this.ignored = this.findIgnored(this.awaiting, only);
+  }
+
+  /**
+   * Returns table of ignored services.
+   * When `only` is given, services not needed by them are ignored as well.
+   *
+   * @private
+   *
+   * @param {Array} names - service names
+   * @param {Array} [only] - names of services to start
+   *
+   * @return {Object}
+   */
+  findIgnored(names, only) {
+    const ignored = {};
+    const selected = only ? this.collectDependencies(only) : null;
+
+    names.forEach(name => {
+      if (this.services[name].ignore || (selected && !(name in selected))) {
+        ignored[name] = 1;
+      }
+    });
+
+    return ignored;
+  }
+
+  /**
+   * Returns table of given services and all not ignored services
+   * on which they transitively depend.
+   *
+   * @private
+   *
+   * @param {Array} names - service names
+   *
+   * @return {Object}
+   */
+  collectDependencies(names) {
+    const collected = {};
+
+    const visit = name => {
+      if (name in collected || !(name in this.services) || this.services[name].ignore) {
+        return;
       }
+
+      collected[name] = true;
+      this.getDependencyNames(this.services[name]).forEach(visit);
+    };
+
+    names.forEach(visit);
+
+    return collected;
+  }
+
+  /**
+   * Returns names of services on the startup critical path.
+   *
+   * @private
+   *
+   * @return {Array}
+   */
+  findCriticalPath() {
+    const criticalPath = [];
+
+    const latest = names => {
+      return names
+        .filter(name => {
+          const timing = this.timings[name];
+
+          return timing && 'resolved' in timing && !timing.lazy;
+        })
+        .reduce((last, name) => {
+          return last && this.timings[last].resolved >= this.timings[name].resolved ? last : name;
+        }, null);
+    };
+
+    let name = latest(Object.keys(this.timings));
+
+    while (name) {
+      criticalPath.unshift(name);
+      name = latest(this.getDependencyNames(this.services[name]));
     }
+
+    return criticalPath;
+  }
+
+  /**
+   * Returns milliseconds since the application execution.
+   *
+   * @private
+   *
+   * @return {Number}
+   */
+  elapsed() {
+    return Date.now() - this.startTime;
+  }
+
+  /**
+   * Returns the state of a given service.
+   *
+   * @private
+   *
+   * @param {String} name - service name
+   *
+   * @return {String}
+   */
+  getState(name) {
+    if (name in this.failures) return 'failed';
+    if (name in this.halted) return 'stopped';
+    if (name in this.stopping) return 'stopping';
+    if (name in this.resolved) return 'started';
+    if (name in this.starting || name in this.lazyStarting) return 'starting';
+    if (name in this.deferred) return 'deferred';
+    // the table of ignored services is filled on execution.
+    if (name in this.ignored || (!this.executed && this.services[name].ignore)) return 'ignored';
+
+    return 'awaiting';
+  }
+
+  /**
+   * Returns names of dependencies which the service is waiting for.
+   *
+   * @private
+   *
+   * @param {Object} service - service object
+   *
+   * @return {Array}
+   */
+  findBlockingDependencies(service) {
+    return this.getDependencies(service)
+      .map(parseDependency)
+      .filter(dependency => {
+        return !this.isSkippedDependency(dependency, this.ignored) &&
+          !(dependency.name in this.resolved) && !(dependency.name in this.deferred);
+      })
+      .map(dependency => dependency.name);
   }
 
   cleanAwaiting() {
@@ -275,6 +1185,7 @@ class Architect {
   /**
    * Check dependencies of a given service.
    * Returns `true` when all dependencies are resolved and `false` otherwise.
+   * Optional dependencies which are absent or ignored are not awaited.
    *
    * @private
    *
@@ -290,20 +1201,28 @@ class Architect {
 
     let resolved = true;
 
-    this.getDependencyNames(service).forEach(dependency => {
-      if (!(dependency in this.resolved)) {
+    this.getDependencies(service).forEach(declaration => {
+      const dependency = parseDependency(declaration).name;
+
+      if (this.isSkippedDependency(parseDependency(declaration), this.ignored)) {
+        return;
+      }
+
+      if (!(dependency in this.resolved) && !(dependency in this.deferred)) {
         resolved = false;
       }
 
       if (dependency in this.ignored) {
-        this.promise.reject(new Error(
-          'Dependency `' + dependency + '` on `' + name + '` is ignored'
+        this.abort(new ArchitectErrors.DependencyIgnoredError(
+          'Dependency `' + dependency + '` on `' + name + '` is ignored',
+          { serviceName: name, dependency: dependency }
         ));
       }
 
       if (!(dependency in this.services)) {
-        this.promise.reject(new Error(
-          'Dependency `' + dependency + '` on `' + name + '` was not found'
+        this.abort(new ArchitectErrors.DependencyNotFoundError(
+          'Dependency `' + dependency + '` on `' + name + '` was not found',
+          { serviceName: name, dependency: dependency }
         ));
       }
     });
@@ -311,30 +1230,229 @@ class Architect {
     return resolved;
   }
 
-  checkConstraints() {
-    this.checkNameConstraints(this.awaiting);
+  /**
+   * Returns `true` for an optional dependency which is absent or ignored.
+   * Such dependency is not awaited.
+   *
+   * @private
+   *
+   * @param {Object} dependency - parsed dependency
+   * @param {Object} ignored - table of ignored services
+   *
+   * @return {Boolean}
+   */
+  isSkippedDependency(dependency, ignored) {
+    return dependency.optional &&
+      (!(dependency.name in this.services) || dependency.name in ignored);
+  }
+
+  /**
+   * Check the config before anything starts.
+   * Throws an error listing all forbidden names, missing and ignored
+   * dependencies and the path of a circular dependency at once.
+   *
+   * @private
+   *
+   * @param {Array} [only] - names of services to start
+   */
+  checkConstraints(only) {
+    const errors = this.findSelectionErrors(only)
+      .concat(this.findConstraintErrors(this.awaiting, this.ignored));
+
+    if (errors.length > 0) {
+      throw combineErrors(errors);
+    }
+  }
 
-    this.awaiting.forEach(name => {
+  /**
+   * Returns errors for unknown or ignored services requested to start.
+   *
+   * @private
+   *
+   * @param {Array} [only] - names of services to start
+   *
+   * @return {Array}
+   */
+  findSelectionErrors(only) {
+    const found = [];
+
+    (only || []).forEach(name => {
+      if (!(name in this.services)) {
+        found.push(new ArchitectErrors.ServiceNotFoundError(
+          'Service `' + name + '` was not found',
+          { serviceName: name }
+        ));
+      } else if (this.services[name].ignore) {
+        found.push(new ArchitectErrors.ServiceIgnoredError(
+          'Service `' + name + '` is ignored',
+          { serviceName: name }
+        ));
+      }
+    });
+
+    return found;
+  }
+
+  /**
+   * Returns errors of the config for given services.
+   *
+   * @private
+   *
+   * @param {Array} names - service names
+   * @param {Object} ignored - table of ignored services
+   *
+   * @return {Array}
+   */
+  findConstraintErrors(names, ignored) {
+    const found = [];
+
+    this.checkNameConstraints(names, found);
+
+    names.forEach(name => {
       const service = this.services[name];
       const dependencies = this.getDependencyNames(service);
 
-      this.checkNameConstraints(dependencies);
+      this.checkNameConstraints(dependencies, found);
+      this.checkAliasConstraints(name, service, found);
+
+      if (name in ignored) {
+        return;
+      }
+
+      this.getDependencies(service).forEach(declaration => {
+        const dependency = parseDependency(declaration);
+
+        if (dependency.optional) {
+          return;
+        }
+
+        if (!(dependency.name in this.services)) {
+          found.push(new ArchitectErrors.DependencyNotFoundError(
+            'Dependency `' + dependency.name + '` on `' + name + '` was not found',
+            { serviceName: name, dependency: dependency.name }
+          ));
+        } else if (dependency.name in ignored) {
+          found.push(new ArchitectErrors.DependencyIgnoredError(
+            'Dependency `' + dependency.name + '` on `' + name + '` is ignored',
+            { serviceName: name, dependency: dependency.name }
+          ));
+        }
+      });
     });
+
+    const cycle = this.findCycle(ignored);
+
+    if (cycle) {
+      found.push(new ArchitectErrors.CircularDependencyError(
+        'Circular dependency detected: ' + cycle.join(' -> '),
+        { serviceName: cycle[0], cycle: cycle }
+      ));
+    }
+
+    return found;
+  }
+
+  /**
+   * Find a circular dependency among not ignored services.
+   * Returns the path of the cycle (`a -> b -> a` as `['a', 'b', 'a']`) or `null`.
+   *
+   * @private
+   *
+   * @param {Object} ignored - table of ignored services
+   *
+   * @return {Array|null}
+   */
+  findCycle(ignored) {
+    const stack = [];
+    const visited = {};
+
+    const visit = name => {
+      if (stack.indexOf(name) !== -1) {
+        return stack.slice(stack.indexOf(name)).concat(name);
+      }
+
+      if (visited[name]) {
+        return null;
+      }
+
+      visited[name] = true;
+      stack.push(name);
+
+      const dependencies = this
+        .getDependencyNames(this.services[name])
+        .filter(dependency => dependency in this.services && !(dependency in ignored));
+
+      for (let i = 0; i < dependencies.length; i++) {
+        const cycle = visit(dependencies[i]);
+
+        if (cycle) {
+          return cycle;
+        }
+      }
+
+      stack.pop();
+
+      return null;
+    };
+
+    const names = Object.keys(this.services).filter(name => !(name in ignored));
+
+    for (let i = 0; i < names.length; i++) {
+      const cycle = visit(names[i]);
+
+      if (cycle) {
+        return cycle;
+      }
+    }
+
+    return null;
   }
 
-  checkNameConstraints(dependencies) {
+  checkNameConstraints(dependencies, found) {
     dependencies.forEach(name => {
-      if (name === 'require') {
-        throw new Error('Service name `require` is forbidden.');
+      if (isForbiddenName(name)) {
+        found.push(new ArchitectErrors.ArchitectError(
+          'Service name `' + name + '` is forbidden.',
+          { code: 'E_FORBIDDEN_NAME', serviceName: name }
+        ));
       }
+    });
+  }
+
+  /**
+   * Check aliases of dependencies declared as an object.
+   *
+   * @private
+   *
+   * @param {String} name - service name
+   * @param {Object} service - service object
+   * @param {Array} found - list of errors to append
+   */
+  checkAliasConstraints(name, service, found) {
+    if (!service.dependencies || Array.isArray(service.dependencies)) {
+      return;
+    }
 
-      if (name === 'requireDefault') {
-        throw new Error('Service name `requireDefault` is forbidden.');
+    Object.keys(service.dependencies).forEach(alias => {
+      if (isForbiddenName(alias)) {
+        found.push(new ArchitectErrors.ArchitectError(
+          'Alias `' + alias + '` on `' + name + '` is forbidden.',
+          { code: 'E_FORBIDDEN_NAME', serviceName: name, alias: alias }
+        ));
       }
     });
   }
 
-  getDependencyNames(service) {
+  /**
+   * Returns dependency declarations of a given service as is.
+   *
+   * @private
+   *
+   * @param {Object} service - service object
+   *
+   * @return {Array}
+   */
+  getDependencies(service) {
     if (!service.dependencies) {
       return [];
     }
@@ -344,18 +1462,144 @@ class Architect {
         : values(service.dependencies);
   }
 
+  /**
+   * Returns names of services on which a given service depends.
+   *
+   * @private
+   *
+   * @param {Object} service - service object
+   *
+   * @return {Array}
+   */
+  getDependencyNames(service) {
+    return this
+      .getDependencies(service)
+      .map(dependency => parseDependency(dependency).name);
+  }
+
   obtainModule(name, service) {
-    let serviceModule;
+    if (service.module) {
+      return Promise.resolve(service.module);
+    }
+
+    return this
+      .importDefault(service.path)
+      .catch(error => {
+        throw new ArchitectErrors.ModuleLoadError(
+          'Error occurs during module requiring (' + name + ').\n' + error.message,
+          { serviceName: name, cause: error }
+        );
+      });
+  }
+
+  /**
+   * Returns options of a given service with resolved placeholders.
+   * When the service spec or the module has `schema` the options
+   * are validated and filled with defaults.
+   *
+   * @private
+   *
+   * @param {String} name - service name
+   * @param {Object} service - service object
+   * @param {Function} serviceModule - module function
+   *
+   * @return {Object}
+   */
+  obtainOptions(name, service, serviceModule) {
+    let options;
 
     try {
-      serviceModule = service.module || this.requireDefault(service.path);
+      options = this.resolveOptions(service.options || {}, []);
     } catch (error) {
-      this.promise.reject(new Error(
-        'Error occurs during module requiring (' + name + ').\n' + error.stack
-      ));
+      throw new ArchitectErrors.InvalidOptionsError(
+        'Error occurs during options resolving (' + name + ').\n' + error.message,
+        { serviceName: name, cause: error }
+      );
+    }
+
+    const optionsSchema = service.schema || serviceModule.schema;
+
+    if (!optionsSchema) {
+      return options;
+    }
+
+    const result = schema.validate(optionsSchema, options);
+
+    if (result.errors.length > 0) {
+      throw new ArchitectErrors.InvalidOptionsError(
+        'Invalid options of `' + name + '`:\n  ' + result.errors.join('\n  '),
+        { serviceName: name, errors: result.errors }
+      );
     }
 
-    return serviceModule;
+    return result.options;
+  }
+
+  /**
+   * Resolve placeholders in options:
+   *  - `${env:NAME}` - environment variable;
+   *  - `${env:NAME:-default}` - environment variable or default value when it is unset or empty;
+   *  - `${options:service.key}` - option of another service (key may be a path a.b.c.d).
+   *
+   * @private
+   *
+   * @param {*} options
+   * @param {Array} stack - option references being resolved
+   *
+   * @return {*}
+   */
+  resolveOptions(options, stack) {
+    return interpolate(options, (type, reference) => {
+      if (type === 'env') {
+        return this.resolveEnvReference(reference);
+      }
+
+      if (type === 'options') {
+        return this.resolveOptionsReference(reference, stack);
+      }
+
+      throw new Error('Unknown placeholder type `' + type + '`.');
+    });
+  }
+
+  resolveEnvReference(reference) {
+    const separator = reference.indexOf(':-');
+    const variable = separator === -1 ? reference : reference.substr(0, separator);
+    const value = process.env[variable];
+
+    if (separator === -1) {
+      if (value === undefined) {
+        throw new Error('Environment variable `' + variable + '` is not defined.');
+      }
+
+      return value;
+    }
+
+    return value ? value : reference.substr(separator + 2);
+  }
+
+  resolveOptionsReference(reference, stack) {
+    if (stack.indexOf(reference) !== -1) {
+      throw new Error(
+        'Circular option reference ' + stack.concat(reference).join(' -> ') + '.'
+      );
+    }
+
+    const dot = reference.indexOf('.');
+    const name = dot === -1 ? reference : reference.substr(0, dot);
+
+    if (!(name in this.services)) {
+      throw new Error('Cannot resolve option `' + reference + '`. The service does not exist.');
+    }
+
+    const options = this.services[name].options || {};
+    const value = dot === -1 ? options : interpolate.getPath(options, reference.substr(dot + 1));
+
+    if (value === undefined) {
+      throw new Error('Cannot resolve option `' + reference + '`. The option is not defined.');
+    }
+
+    return this.resolveOptions(value, stack.concat(reference));
   }
 
   obtainDepenedcies(name, service) {
@@ -366,21 +1610,35 @@ class Architect {
     }
 
     if (Array.isArray(service.dependencies)) {
-      service.dependencies.forEach(name => {
-        imports[name] = this.resolved[name];
+      this.getDependencyNames(service).forEach(name => {
+        imports[name] = this.getImport(name);
       });
     } else {
       Object.keys(service.dependencies).forEach(alias => {
-        const name = service.dependencies[alias];
-        imports[alias] = this.resolved[name];
+        const name = parseDependency(service.dependencies[alias]).name;
+        imports[alias] = this.getImport(name);
       });
     }
 
     return imports;
   }
 
+  /**
+   * Returns the service to import, lazy services are imported as handles.
+   *
+   * @private
+   *
+   * @param {String} name - service name
+   *
+   * @return {*}
+   */
+  getImport(name) {
+    return name in this.deferred ? this.deferred[name] : this.resolved[name];
+  }
+
   /**
    * Start a given service.
+   * The service own `startup_timeout` takes precedence over the global one.
    *
    * @private
    *
@@ -388,54 +1646,374 @@ class Architect {
    * @param {Object} service - service object
    */
   startService(name, service) {
-    const options = service.options || {};
+    const timeout = service.startup_timeout || this.startupTimeout;
     const imports = this.obtainDepenedcies(name, service);
-    const serviceModule = this.obtainModule(name, service);
-
-    if (!serviceModule) return;
 
     this.starting[name] = true;
+    this.timings[name] = { eligible: this.elapsed() };
     this.awaiting.splice(this.awaiting.indexOf(name), 1);
+    this.emit('service:starting', name);
 
-    try {
-      const startupTimer = setTimeout(() => {
-        this.promise.reject(new Error(
-          'Timeout of startup module `' + name + '` is exceeded'
+    const timedOut = new Promise(resolve => {
+      this.timers[name] = setTimeout(() => {
+        const pending = this.findPending();
+
+        this.failService(name, new ArchitectErrors.StartupTimeoutError(
+          'Timeout of startup module `' + name + '` is exceeded' + describePending(pending),
+          Object.assign({ serviceName: name }, pending)
         ));
-      }, this.startupTimeout);
+        resolve();
+      }, timeout);
+    });
 
-      const module = serviceModule(options, imports);
-      this.register(name, startupTimer, module);
-    } catch (error) {
-      this.promise.reject(new Error(
-        'Error occurs during module `' + name + '` startup.\n' + error.stack
+    const module = this.launchService(name, service, imports);
+
+    // settled once the service is started, failed or timed out.
+    this.startups[name] = Promise.race([
+      this.register(name, this.timers[name], module),
+      timedOut
+    ]);
+  }
+
+  /**
+   * Load the module and create the service.
+   *
+   * @private
+   *
+   * @param {String} name - service name
+   * @param {Object} service - service object
+   * @param {Object} imports - service dependencies
+   *
+   * @return {Promise} resolves with `{ service, teardown }`
+   */
+  launchService(name, service, imports) {
+    return this
+      .obtainModule(name, service)
+      .then(serviceModule => {
+        const options = this.obtainOptions(name, service, serviceModule);
+
+        return this
+          .invokeModule(name, service, serviceModule, options, imports)
+          .catch(error => {
+            throw new ArchitectErrors.ServiceStartupError(
+              'Error occurs during module `' + name + '` startup.\n' + error.message,
+              { serviceName: name, cause: error }
+            );
+          });
+      });
+  }
+
+  /**
+   * Defer a lazy service until the first use.
+   * Consumers receive the handle instead of the service,
+   * `handle.get()` starts the service and resolves with it.
+   *
+   * @private
+   *
+   * @param {String} name - service name
+   * @param {Object} service - service object
+   */
+  deferService(name, service) {
+    let started = null;
+
+    this.awaiting.splice(this.awaiting.indexOf(name), 1);
+
+    this.deferred[name] = {
+      name,
+      get: () => {
+        if (!started) {
+          started = this.startLazyService(name, service);
+        }
+
+        return started;
+      }
+    };
+
+    this.emit('service:deferred', name);
+  }
+
+  /**
+   * Start a lazy service, lazy dependencies are started first.
+   * The failure of a lazy service does not abort the application.
+   * Lazy services are tracked apart from `starting`,
+   * so the application startup does not wait for them.
+   *
+   * @private
+   *
+   * @param {String} name - service name
+   * @param {Object} service - service object
+   *
+   * @return {Promise} resolves with the service
+   */
+  startLazyService(name, service) {
+    const timeout = service.startup_timeout || this.startupTimeout;
+    const lazyDependencies = this.getDependencyNames(service)
+      .filter(dependency => dependency in this.deferred);
+
+    if (this.failed || this.stopped) {
+      return Promise.reject(new ArchitectErrors.ServiceStartupError(
+        'Cannot start lazy service `' + name + '` after the application shutdown',
+        { serviceName: name }
       ));
     }
+
+    return Promise
+      .all(lazyDependencies.map(dependency => this.deferred[dependency].get()))
+      .then(() => new Promise((resolve, reject) => {
+        this.lazyStarting[name] = true;
+        this.timings[name] = { eligible: this.elapsed(), lazy: true };
+        this.emit('service:starting', name);
+
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+          timedOut = true;
+          reject(new ArchitectErrors.StartupTimeoutError(
+            'Timeout of startup module `' + name + '` is exceeded',
+            { serviceName: name }
+          ));
+        }, timeout);
+
+        this
+          .launchService(name, service, this.obtainDepenedcies(name, service))
+          .then(created => {
+            clearTimeout(timer);
+
+            // nobody waits for the service started after the timeout.
+            if (timedOut) {
+              Promise.resolve().then(created.teardown).catch(() => {});
+              return;
+            }
+
+            resolve(created);
+          }, error => {
+            clearTimeout(timer);
+            reject(error);
+          });
+      }))
+      .then(created => {
+        delete this.lazyStarting[name];
+
+        // the application has been shut down while the service was starting.
+        if (this.failed || this.stopped) {
+          Promise.resolve().then(created.teardown).catch(() => {});
+
+          throw new ArchitectErrors.ServiceStartupError(
+            'Lazy service `' + name + '` is started after the application shutdown',
+            { serviceName: name }
+          );
+        }
+
+        this.timings[name].resolved = this.elapsed();
+        this.resolved[name] = created.service;
+        this.teardown[name] = created.teardown;
+
+        this.emit('service:started', name, created.service);
+
+        return created.service;
+      })
+      .catch(error => {
+        delete this.lazyStarting[name];
+
+        if (!(name in this.failures)) {
+          this.failures[name] = error;
+          this.emit('service:failed', name, error);
+        }
+
+        throw error;
+      });
+  }
+
+  /**
+   * Create the service by the module, which is one of:
+   *  - function (options, imports) returning the service or a promise of it,
+   *    the service `shutdown` method is called on the application shutdown;
+   *  - class with `start` method, the instance is created with options and imports,
+   *    then `start` is called, the instance `stop` method is called on shutdown;
+   *  - object with `start` method, it is called with options and imports,
+   *    the object `stop` method is called on shutdown.
+   *
+   * @private
+   *
+   * @param {Function|Object} serviceModule
+   * @param {Object} options - service options
+   * @param {Object} imports - service dependencies
+   *
+   * @return {Promise} resolves with `{ service, teardown }`
+   */
+  createService(serviceModule, options, imports) {
+    const isClass = typeof serviceModule === 'function' &&
+      serviceModule.prototype && typeof serviceModule.prototype.start === 'function';
+    const isObject = typeof serviceModule === 'object' &&
+      serviceModule !== null && typeof serviceModule.start === 'function';
+
+    if (isClass || isObject) {
+      const instance = isClass ? new serviceModule(options, imports) : serviceModule;
+      const started = isClass ? instance.start() : instance.start(options, imports);
+
+      return Promise.resolve(started).then(() => ({
+        service: instance,
+        teardown: () => typeof instance.stop === 'function' ? instance.stop() : undefined
+      }));
+    }
+
+    // the module may return "promise" or just "plain object".
+    return Promise.resolve(serviceModule(options, imports)).then(service => {
+      service = service || {};
+
+      return { service, teardown: service.shutdown || function () {} };
+    });
+  }
+
+  /**
+   * Create the service.
+   * When the service has `retry` spec the failed call is repeated
+   * with exponential backoff: `delay`, `delay * factor`, `delay * factor^2`...
+   * The `startup_timeout` limits all attempts together.
+   *
+   * @private
+   *
+   * @param {String} name - service name
+   * @param {Object} service - service object
+   * @param {Function|Object} serviceModule
+   * @param {Object} options - service options
+   * @param {Object} imports - service dependencies
+   *
+   * @return {Promise} resolves with `{ service, teardown }`
+   */
+  invokeModule(name, service, serviceModule, options, imports) {
+    const retry = service.retry || {};
+    const attempts = retry.attempts || 1;
+    const delay = retry.delay || DEFAULT_RETRY_DELAY;
+    const factor = retry.factor || DEFAULT_RETRY_FACTOR;
+
+    const attempt = n => {
+      return new Promise(resolve => resolve(this.createService(serviceModule, options, imports)))
+        .catch(error => {
+          if (n >= attempts || this.failed) {
+            throw error;
+          }
+
+          this.emit('service:retrying', name, error, n);
+
+          return new Promise(resolve => {
+            setTimeout(resolve, delay * Math.pow(factor, n - 1));
+          })
+          .then(() => {
+            // the startup has been aborted during the delay.
+            if (this.failed) {
+              throw error;
+            }
+
+            return attempt(n + 1);
+          });
+        });
+    };
+
+    this.timings[name].invoked = this.elapsed();
+
+    return attempt(1);
   }
 
   register(name, timer, module) {
-      // the module may be "promise" or just "plain object".
-      Promise.resolve(module)
-        .then(service => {
-          service = service || {};
+      return Promise.resolve(module)
+        .then(created => {
+          const service = created.service;
 
           clearTimeout(timer);
+          delete this.timers[name];
           delete this.starting[name];
 
+          this.timings[name].resolved = this.elapsed();
           this.resolved[name] = service;
-          this.teardown[name] = service.shutdown || function () {}
+          this.teardown[name] = created.teardown;
+
+          this.emit('service:started', name, service);
+
+          // the startup has been aborted while the service was starting,
+          // the rollback stops it unless nobody waits for it after the timeout.
+          if (this.failed) {
+            if (name in this.failures) {
+              this.stopService(name).catch(() => {});
+            }
+            return;
+          }
 
           this.nextRound();
         })
         .catch(error => {
-          this.promise.reject(new Error(
-            'Error occurs during module `' + name + '` startup.\n' + error.stack
-          ));
+          clearTimeout(timer);
+          delete this.timers[name];
+
+          this.failService(name, error);
         })
   }
 
+  /**
+   * Reject the application startup because of a failed service.
+   *
+   * @private
+   *
+   * @param {String} name - service name
+   * @param {Error} error
+   */
+  failService(name, error) {
+    this.failures[name] = error;
+    this.emit('service:failed', name, error);
+    this.abort(error);
+  }
+
+  /**
+   * Abort the application startup.
+   * Services which are starting are awaited until started, failed or timed out,
+   * then all started services are stopped in reverse dependency order
+   * before the rejection, errors occurred while stopping are appended
+   * to the startup error as `rollbackErrors`.
+   * When `rejectAtOnce` is set the startup is rejected before the rollback.
+   *
+   * @private
+   *
+   * @param {Error} error
+   * @param {Boolean} [rejectAtOnce]
+   *
+   * @return {Promise} resolves once the startup is rolled back
+   */
+  abort(error, rejectAtOnce) {
+    if (this.failed) return this.rollback;
+
+    this.failed = true;
+
+    clearTimeout(this.deadlineTimer);
+
+    if (rejectAtOnce) {
+      this.promise.reject(error);
+    }
+
+    this.rollback = Promise
+      .all(values(this.startups))
+      .then(() => this.stopServices(Object.keys(this.teardown)))
+      .then(errors => {
+        if (errors.length > 0) {
+          error.rollbackErrors = errors;
+          error.message += '\nErrors occur during rollback:\n' +
+            errors.map(rollbackError => rollbackError.message).join('\n');
+        }
+
+        if (!rejectAtOnce) {
+          this.promise.reject(error);
+        }
+      });
+
+    return this.rollback;
+  }
+
 }
 
 module.exports = Architect;
 module.exports.values = values;
 module.exports.makeDictionary = makeDictionary;
+module.exports.parseDependency = parseDependency;
+
+Object.keys(ArchitectErrors).forEach(name => {
+  module.exports[name] = ArchitectErrors[name];
+});
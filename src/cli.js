@@ -0,0 +1,166 @@
+const path = require('path');
+const Architect = require('./architect');
+
+const USAGE = [
+  'Usage: node-architect <command> <config> [options]',
+  '',
+  'Commands:',
+  '  start   start the application',
+  '  check   validate the config without starting it',
+  '  graph   print the service dependency graph',
+  '',
+  'Options:',
+  '  --base-path <path>  the path relative to which all modules are located,',
+  '                      the config directory by default',
+  '  --env <name>        merge the config overlay `<config>.<name>.<ext>`',
+  '  --only <names>      comma separated services to start with their dependencies',
+  '  --format <format>   graph format: json (default), dot or mermaid',
+  '  --discover          register services from installed packages',
+  '  -h, --help          print this message'
+].join('\n');
+
+const FLAGS = {
+  '--discover': 'discover'
+};
+
+const OPTIONS = {
+  '--base-path': 'basePath',
+  '--env': 'env',
+  '--only': 'only',
+  '--format': 'format'
+};
+
+/**
+ * Parse command line arguments.
+ *
+ * @param {Array} argv - arguments without `node` and the script path
+ *
+ * @return {Object}
+ */
+function parseArgs(argv) {
+  const args = { positional: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eq = arg.indexOf('=');
+    const key = eq === -1 ? arg : arg.substr(0, eq);
+
+    if (key === '-h' || key === '--help') {
+      args.help = true;
+    } else if (key in FLAGS) {
+      args[FLAGS[key]] = true;
+    } else if (key in OPTIONS) {
+      const value = eq === -1 ? argv[++i] : arg.substr(eq + 1);
+
+      if (value === undefined) {
+        throw new Error('Option `' + key + '` requires a value.');
+      }
+
+      args[OPTIONS[key]] = value;
+    } else if (arg[0] === '-') {
+      throw new Error('Unknown option `' + arg + '`.');
+    } else {
+      args.positional.push(arg);
+    }
+  }
+
+  args.command = args.positional[0];
+  args.config = args.positional[1];
+  args.only = args.only ? args.only.split(',') : undefined;
+
+  return args;
+}
+
+function start(app, args, io) {
+  app.attachToProcess({ process: io.process });
+
+  return app
+    .execute({ only: args.only })
+    .then(() => 0, error => {
+      io.stderr.write(error.message + '\n');
+      return 1;
+    });
+}
+
+function check(app, args, io) {
+  const plan = app.plan({ only: args.only });
+
+  if (plan.errors.length > 0) {
+    plan.errors.forEach(error => io.stderr.write(error.message + '\n'));
+    return 1;
+  }
+
+  plan.waves.forEach((wave, i) => {
+    io.stdout.write((i + 1) + ': ' + wave.join(', ') + '\n');
+  });
+
+  if (plan.deferred.length > 0) {
+    io.stdout.write('deferred: ' + plan.deferred.join(', ') + '\n');
+  }
+
+  if (plan.ignored.length > 0) {
+    io.stdout.write('ignored: ' + plan.ignored.join(', ') + '\n');
+  }
+
+  return 0;
+}
+
+function graph(app, args, io) {
+  const result = app.getGraph({ format: args.format });
+
+  io.stdout.write(
+    typeof result === 'string' ? result : JSON.stringify(result, null, 2) + '\n'
+  );
+
+  return 0;
+}
+
+const COMMANDS = { start, check, graph };
+
+/**
+ * Run the command line interface.
+ *
+ * @param {Array} argv - arguments without `node` and the script path
+ * @param {Object} [io] - `stdout`, `stderr` and `process`, the global ones by default
+ *
+ * @return {Promise} resolves with the exit code
+ */
+function run(argv, io) {
+  io = io || {};
+  io.process = io.process || process;
+  io.stdout = io.stdout || io.process.stdout;
+  io.stderr = io.stderr || io.process.stderr;
+
+  return Promise.resolve()
+    .then(() => {
+      const args = parseArgs(argv);
+
+      if (args.help) {
+        io.stdout.write(USAGE + '\n');
+        return 0;
+      }
+
+      if (!COMMANDS.hasOwnProperty(args.command) || !args.config) {
+        io.stderr.write(USAGE + '\n');
+        return 1;
+      }
+
+      const app = Architect.fromFile(args.config, {
+        env: args.env,
+        basePath: args.basePath && path.resolve(args.basePath)
+      });
+
+      if (args.discover) {
+        app.discover();
+      }
+
+      return COMMANDS[args.command](app, args, io);
+    })
+    .catch(error => {
+      io.stderr.write(error.message + '\n');
+      return 1;
+    });
+}
+
+module.exports.run = run;
+module.exports.parseArgs = parseArgs;
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const ArchitectErrors = require('./errors');
+
+function readPackage(packagePath) {
+  const file = path.join(packagePath, 'package.json');
+
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ArchitectErrors.ArchitectError(
+      'Cannot read `' + file + '`.\n' + error.message,
+      { cause: error }
+    );
+  }
+}
+
+function listPackages(directory) {
+  const packages = [];
+
+  fs.readdirSync(directory).sort().forEach(name => {
+    const packagePath = path.join(directory, name);
+
+    if (name[0] === '.' || !fs.statSync(packagePath).isDirectory()) {
+      return;
+    }
+
+    if (name[0] === '@') {
+      fs.readdirSync(packagePath).sort().forEach(scopedName => {
+        packages.push(path.join(packagePath, scopedName));
+      });
+    } else {
+      packages.push(packagePath);
+    }
+  });
+
+  return packages;
+}
+
+/**
+ * Find packages declaring `architect` field in their `package.json`:
+ *
+ *   "architect": {
+ *     "name": "redis",
+ *     "options": { "port": 6379 },
+ *     "dependencies": ["logger"]
+ *   }
+ *
+ * The service name defaults to the package name,
+ * other fields of `architect` are used as the service spec.
+ *
+ * @param {String} directory - directory to scan, usually `node_modules`
+ *
+ * @return {Array} list of `{ name, spec }` where `spec.path` is the package directory
+ */
+function discover(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  const found = [];
+
+  listPackages(directory).forEach(packagePath => {
+    const pkg = readPackage(packagePath);
+
+    if (!pkg || !pkg.architect) {
+      return;
+    }
+
+    const spec = Object.assign({}, pkg.architect, { path: packagePath });
+    const name = spec.name || pkg.name;
+
+    delete spec.name;
+
+    found.push({ name, spec });
+  });
+
+  return found;
+}
+
+module.exports = discover;
@@ -0,0 +1,86 @@
+const util = require('util');
+
+/**
+ * Base error of the application.
+ * The stack of `cause` is appended to the error stack.
+ *
+ * Error classes are defined with `util.inherits` instead of `class ... extends Error`,
+ * because transpiled subclasses of `Error` lose their prototype.
+ *
+ * @constructor
+ *
+ * @param {String} message
+ * @param {Object} [props] - `serviceName`, `cause` and other error specific properties
+ */
+function ArchitectError(message, props) {
+  Error.call(this);
+
+  this.name = this.constructor.name;
+  this.message = message;
+  // own property, so the code is visible when the error is logged.
+  this.code = this.constructor.prototype.code;
+
+  Object.assign(this, props);
+
+  Error.captureStackTrace(this, this.constructor);
+
+  if (this.cause && this.cause.stack) {
+    this.stack += '\nCaused by: ' + this.cause.stack;
+  }
+}
+
+util.inherits(ArchitectError, Error);
+
+ArchitectError.prototype.code = 'E_ARCHITECT';
+
+function defineError(name, code) {
+  const CustomError = function (message, props) {
+    ArchitectError.call(this, message, props);
+  };
+
+  Object.defineProperty(CustomError, 'name', { value: name });
+
+  util.inherits(CustomError, ArchitectError);
+
+  CustomError.prototype.code = code;
+
+  return CustomError;
+}
+
+module.exports.ArchitectError = ArchitectError;
+
+module.exports.ServiceNotFoundError =
+  defineError('ServiceNotFoundError', 'E_SERVICE_NOT_FOUND');
+
+module.exports.ServiceIgnoredError =
+  defineError('ServiceIgnoredError', 'E_SERVICE_IGNORED');
+
+module.exports.DependencyNotFoundError =
+  defineError('DependencyNotFoundError', 'E_DEPENDENCY_NOT_FOUND');
+
+module.exports.DependencyIgnoredError =
+  defineError('DependencyIgnoredError', 'E_DEPENDENCY_IGNORED');
+
+module.exports.CircularDependencyError =
+  defineError('CircularDependencyError', 'E_CIRCULAR_DEPENDENCY');
+
+module.exports.ModuleLoadError =
+  defineError('ModuleLoadError', 'E_MODULE_LOAD');
+
+module.exports.InvalidOptionsError =
+  defineError('InvalidOptionsError', 'E_INVALID_OPTIONS');
+
+module.exports.ServiceStartupError =
+  defineError('ServiceStartupError', 'E_SERVICE_STARTUP');
+
+module.exports.StartupTimeoutError =
+  defineError('StartupTimeoutError', 'E_STARTUP_TIMEOUT');
+
+module.exports.StartupDeadlineError =
+  defineError('StartupDeadlineError', 'E_STARTUP_DEADLINE');
+
+module.exports.ServiceShutdownError =
+  defineError('ServiceShutdownError', 'E_SERVICE_SHUTDOWN');
+
+module.exports.ShutdownTimeoutError =
+  defineError('ShutdownTimeoutError', 'E_SHUTDOWN_TIMEOUT');
@@ -0,0 +1,116 @@
+/**
+ * Renderers of the service dependency graph.
+ *
+ * The graph is a plain adjacency structure:
+ *
+ *   {
+ *     http: {
+ *       ignored: false,
+ *       dependencies: [{ name: 'db', alias: 'storage', optional: false }]
+ *     },
+ *     ...
+ *   }
+ */
+
+function quote(string) {
+  return '"' + String(string).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+// Mermaid has no escaping by backslash, quotes are entities.
+function mermaidQuote(string) {
+  return '"' + String(string).replace(/"/g, '#quot;') + '"';
+}
+
+function nodeLabel(name, node) {
+  return node.ignored ? name + ' (ignored)' : name;
+}
+
+function edgeLabel(dependency) {
+  return dependency.alias !== dependency.name ? dependency.alias : '';
+}
+
+/**
+ * Render graph as Graphviz DOT.
+ *
+ * @param {Object} graph
+ *
+ * @return {String}
+ */
+function toDot(graph) {
+  const lines = ['digraph architect {'];
+
+  Object.keys(graph).forEach(name => {
+    const node = graph[name];
+    const attributes = node.ignored
+      ? ' [label=' + quote(nodeLabel(name, node)) + ', style=dashed]'
+      : '';
+
+    lines.push('  ' + quote(name) + attributes + ';');
+  });
+
+  Object.keys(graph).forEach(name => {
+    graph[name].dependencies.forEach(dependency => {
+      const attributes = [];
+      const label = edgeLabel(dependency);
+
+      if (label) {
+        attributes.push('label=' + quote(label));
+      }
+
+      if (dependency.optional) {
+        attributes.push('style=dashed');
+      }
+
+      lines.push(
+        '  ' + quote(name) + ' -> ' + quote(dependency.name) +
+        (attributes.length ? ' [' + attributes.join(', ') + ']' : '') + ';'
+      );
+    });
+  });
+
+  lines.push('}');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render graph as Mermaid flowchart.
+ *
+ * @param {Object} graph
+ *
+ * @return {String}
+ */
+function toMermaid(graph) {
+  const lines = ['graph TD'];
+  const ids = {};
+
+  // names may collide after sanitizing, so nodes get indexed ids.
+  const mermaidId = name => {
+    if (!(name in ids)) {
+      ids[name] = 'n' + Object.keys(ids).length;
+    }
+
+    return ids[name];
+  };
+
+  Object.keys(graph).forEach(name => {
+    lines.push('  ' + mermaidId(name) + '[' + mermaidQuote(nodeLabel(name, graph[name])) + ']');
+  });
+
+  Object.keys(graph).forEach(name => {
+    graph[name].dependencies.forEach(dependency => {
+      const label = edgeLabel(dependency);
+      const arrow = dependency.optional ? '-.->' : '-->';
+
+      lines.push(
+        '  ' + mermaidId(name) + ' ' + arrow +
+        (label ? '|' + mermaidQuote(label) + '|' : '') + ' ' + mermaidId(dependency.name)
+      );
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports.toDot = toDot;
+module.exports.toMermaid = toMermaid;
@@ -0,0 +1,60 @@
+const PLACEHOLDER = /\$\{(\w+):([^}]*)\}/g;
+const WHOLE_PLACEHOLDER = /^\$\{(\w+):([^}]*)\}$/;
+
+/**
+ * Returns value of the object property by the path (a.b.c.d).
+ *
+ * @param {Object} object
+ * @param {String} key - property path
+ *
+ * @return {*}
+ */
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => {
+    return value !== null && typeof value === 'object' ? value[part] : undefined;
+  }, object);
+}
+
+/**
+ * Replace placeholders `${type:reference}` in all strings of a given value.
+ * The string consisting of a single placeholder is replaced with the
+ * resolved value as is, otherwise the resolved value is stringified.
+ * The given value is not modified.
+ *
+ * @param {*} value
+ * @param {Function} resolve - function (type, reference) returning the value of placeholder
+ *
+ * @return {*}
+ */
+function interpolate(value, resolve) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER);
+
+    if (whole) {
+      return resolve(whole[1], whole[2]);
+    }
+
+    return value.replace(PLACEHOLDER, (match, type, reference) => {
+      return String(resolve(type, reference));
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, resolve));
+  }
+
+  if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const result = {};
+
+    Object.keys(value).forEach(key => {
+      result[key] = interpolate(value[key], resolve);
+    });
+
+    return result;
+  }
+
+  return value;
+}
+
+module.exports = interpolate;
+module.exports.getPath = getPath;
@@ -0,0 +1,157 @@
+/**
+ * Validation of service options against JSON-Schema-like description.
+ *
+ * Supported keywords: `type` (string, number, integer, boolean, object,
+ * array, null or an array of them), `enum`, `minimum`, `maximum`, `pattern`,
+ * `properties`, `required`, `additionalProperties: false`, `items` and `default`.
+ *
+ * Strings are coerced to numbers and booleans when the type asks for it,
+ * since interpolated environment variables are always strings.
+ */
+
+const TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !isNaN(value),
+  integer: value => typeof value === 'number' && value % 1 === 0,
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+function join(key, property) {
+  return key ? key + '.' + property : property;
+}
+
+function describe(key) {
+  return key ? '`' + key + '`' : 'options';
+}
+
+function coerce(types, value) {
+  if (typeof value !== 'string' || types.indexOf('string') !== -1) {
+    return value;
+  }
+
+  for (let i = 0; i < types.length; i++) {
+    const type = types[i];
+
+    if ((type === 'number' || type === 'integer') && value.trim() !== '') {
+      const number = Number(value);
+
+      if (TYPES[type](number)) {
+        return number;
+      }
+    }
+
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+  }
+
+  return value;
+}
+
+function clone(value) {
+  return value !== null && typeof value === 'object'
+    ? JSON.parse(JSON.stringify(value))
+    : value;
+}
+
+function applySchema(schema, value, key, errors) {
+  if (value === undefined && 'default' in schema) {
+    value = clone(schema['default']);
+  }
+
+  if (value === undefined) {
+    return value;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+
+    value = coerce(types, value);
+
+    if (!types.some(type => TYPES[type] && TYPES[type](value))) {
+      errors.push(describe(key) + ' should be ' + types.join(' or '));
+      return value;
+    }
+  }
+
+  if (schema['enum'] && schema['enum'].indexOf(value) === -1) {
+    errors.push(
+      describe(key) + ' should be one of ' +
+      schema['enum'].map(item => JSON.stringify(item)).join(', ')
+    );
+  }
+
+  if (typeof value === 'number') {
+    if ('minimum' in schema && value < schema.minimum) {
+      errors.push(describe(key) + ' should be >= ' + schema.minimum);
+    }
+
+    if ('maximum' in schema && value > schema.maximum) {
+      errors.push(describe(key) + ' should be <= ' + schema.maximum);
+    }
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(describe(key) + ' should match ' + schema.pattern);
+  }
+
+  if (TYPES.array(value) && schema.items) {
+    return value.map((item, i) => applySchema(schema.items, item, join(key, i), errors));
+  }
+
+  if (TYPES.object(value)) {
+    return applyProperties(schema, value, key, errors);
+  }
+
+  return value;
+}
+
+function applyProperties(schema, value, key, errors) {
+  const result = Object.assign({}, value);
+  const properties = schema.properties || {};
+
+  Object.keys(properties).forEach(property => {
+    const propertyValue = applySchema(properties[property], value[property], join(key, property), errors);
+
+    if (propertyValue !== undefined) {
+      result[property] = propertyValue;
+    }
+  });
+
+  (schema.required || []).forEach(property => {
+    if (result[property] === undefined) {
+      errors.push(describe(join(key, property)) + ' is required');
+    }
+  });
+
+  if (schema.additionalProperties === false) {
+    Object.keys(result).forEach(property => {
+      if (!(property in properties)) {
+        errors.push(describe(join(key, property)) + ' is not allowed');
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Validate options and fill defaults.
+ * The given options are not modified.
+ *
+ * @param {Object} schema
+ * @param {Object} options
+ *
+ * @return {Object} { options, errors }
+ */
+function validate(schema, options) {
+  const errors = [];
+  const result = applySchema(schema, options, '', errors);
+
+  return { options: result, errors: errors };
+}
+
+module.exports.validate = validate;
@@ -0,0 +1,88 @@
+/**
+ * Helpers for testing services.
+ * Test applications are not stopped automatically,
+ * every suite must call `stopTestApps` after each test:
+ *
+ *   afterEach(() => Architect.stopTestApps());
+ *
+ *   it('should ...', () => {
+ *     return Architect
+ *       .createTestApp(config, { only: ['http'], overrides: { db: fakeDb } })
+ *       .then(app => { ... });
+ *   });
+ */
+
+const testApps = [];
+
+function isFactory(override) {
+  return override !== null && typeof override === 'object' &&
+    typeof override.module === 'function';
+}
+
+function makeOverride(override, spec) {
+  return {
+    module: isFactory(override) ? override.module : () => override,
+    options: spec && spec.options
+  };
+}
+
+/**
+ * Create and start an application with replaced services.
+ * Overridden services have no dependencies, the override is either
+ * the service itself (functions included) or `{ module }` with the module function.
+ *
+ * @param {Function} Architect - application constructor
+ * @param {Object} config - application config, it is not modified
+ * @param {Object} [options]
+ * @param {Object} [options.overrides] - replacements of services by name
+ * @param {Array} [options.only] - services under test, all by default
+ * @param {String} [options.basePath]
+ *
+ * @return {Promise} resolves with the started application
+ */
+function createTestApp(Architect, config, options) {
+  options = options || {};
+  config = config || {};
+
+  const services = {};
+  const overrides = options.overrides || {};
+  const configServices = config.services || {};
+
+  Object.keys(configServices).forEach(name => {
+    services[name] = Object.assign({}, configServices[name]);
+  });
+
+  Object.keys(overrides).forEach(name => {
+    services[name] = makeOverride(overrides[name], services[name]);
+  });
+
+  const app = new Architect(
+    Object.assign({}, config, { services }),
+    options.basePath
+  );
+
+  const startup = app
+    .execute({ only: options.only })
+    .then(() => app);
+
+  testApps.push(startup.catch(() => app));
+
+  return startup;
+}
+
+/**
+ * Shutdown all test applications.
+ * Applications which are still starting are shut down once started.
+ *
+ * @return {Promise}
+ */
+function stopTestApps() {
+  const startups = testApps.splice(0, testApps.length);
+
+  return Promise.all(startups.map(startup => {
+    return startup.then(app => app.started && !app.stopped ? app.shutdown() : undefined);
+  }));
+}
+
+module.exports.createTestApp = createTestApp;
+module.exports.stopTestApps = stopTestApps;
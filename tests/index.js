@@ -1,5 +1,38 @@
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const Architect = require('../src/architect');
+const cli = require('../src/cli');
+
+function writeFiles(root, files) {
+  Object.keys(files).forEach(file => {
+    file.split('/').slice(0, -1).reduce((dir, part) => {
+      const next = path.join(dir, part);
+
+      if (!fs.existsSync(next)) {
+        fs.mkdirSync(next);
+      }
+
+      return next;
+    }, root);
+
+    fs.writeFileSync(path.join(root, file), files[file]);
+  });
+}
+
+function removeDir(dir) {
+  fs.readdirSync(dir).forEach(name => {
+    const file = path.join(dir, name);
+
+    if (fs.statSync(file).isDirectory()) {
+      removeDir(file);
+    } else {
+      fs.unlinkSync(file);
+    }
+  });
+
+  fs.rmdirSync(dir);
+}
 
 describe('architect', function () {
 
@@ -155,6 +188,76 @@ describe('architect', function () {
 
   });
 
+  it('should detect circular dependency before any service started', function (done) {
+    const started = sinon.spy();
+
+    config = {
+      services: {
+        serviceA: {
+          module: started,
+          dependencies: ['serviceB']
+        },
+        serviceB: {
+          module: started,
+          dependencies: ['serviceC', 'serviceD']
+        },
+        serviceC: {
+          module: started,
+          dependencies: { a: 'serviceA' }
+        },
+        serviceD: {
+          module: started
+        }
+      }
+    };
+
+    app = new Architect(config);
+
+    app
+      .execute()
+      .then(() => assert.fail('should fail'))
+      .catch(e => {
+        assert.include(e.message, 'serviceA -> serviceB -> serviceC -> serviceA');
+        assert.notCalled(started);
+      })
+      .then(done, done);
+
+  });
+
+  it('should report all missing and ignored dependencies together', function (done) {
+    const started = sinon.spy();
+
+    config = {
+      services: {
+        serviceA: {
+          module: started,
+          dependencies: ['serviceB', 'serviceC']
+        },
+        serviceB: {
+          module: started,
+          ignore: true
+        },
+        serviceD: {
+          module: started,
+          dependencies: ['serviceE', '?serviceF']
+        }
+      }
+    };
+
+    app = new Architect(config);
+
+    app.execute()
+      .then(() => assert.fail('should fail'))
+      .catch(e => {
+        assert.match(e.message, /dependency `serviceB` on `serviceA` is ignored/i);
+        assert.match(e.message, /dependency `serviceC` on `serviceA` was not found/i);
+        assert.match(e.message, /dependency `serviceE` on `serviceD` was not found/i);
+        assert.notInclude(e.message, 'serviceF');
+        assert.notCalled(started);
+      })
+      .then(done, done);
+  });
+
   it('should throw an error if dependency was not found', function (done) {
     config = {
       services: {
@@ -178,6 +281,69 @@ describe('architect', function () {
       .then(done, done);
   });
 
+  it('should pass `undefined` for absent or ignored optional dependencies', function (done) {
+    config = {
+      services: {
+        serviceA: {
+          module: function (options, imports) {
+            assert.property(imports, 'serviceB');
+            assert.isUndefined(imports.serviceB);
+            assert.property(imports, 'cache');
+            assert.isUndefined(imports.cache);
+            assert.equal(imports.serviceD, 'moduleD');
+            return 'moduleA';
+          },
+          dependencies: { serviceB: '?serviceB', cache: '?serviceC', serviceD: '?serviceD' }
+        },
+        serviceC: {
+          ignore: true,
+          module: function () { return 'moduleC'; }
+        },
+        serviceD: {
+          module: function () {
+            return new Promise(resolve => {
+              setTimeout(() => { resolve('moduleD'); }, 10);
+            });
+          }
+        }
+      }
+    };
+
+    app = new Architect(config);
+
+    app
+      .execute()
+      .then(resolved => {
+        assert.deepEqual(resolved, { serviceA: 'moduleA', serviceD: 'moduleD' });
+      })
+      .then(done, done);
+  });
+
+  it('should support optional dependencies in array', function (done) {
+    config = {
+      services: {
+        serviceA: {
+          module: function (options, imports) {
+            assert.isUndefined(imports.serviceB);
+            assert.equal(imports.serviceC, 'moduleC');
+            return 'moduleA';
+          },
+          dependencies: ['?serviceB', '?serviceC']
+        },
+        serviceC: {
+          module: function () { return 'moduleC'; }
+        }
+      }
+    };
+
+    app = new Architect(config);
+
+    app
+      .execute()
+      .then(() => {})
+      .then(done, done);
+  });
+
   it('should skip ignored services', function (done) {
     const order = [];
 
@@ -282,161 +448,2055 @@ describe('architect', function () {
       .then(done, done);
   });
 
-  it('should not allow to execute an application twice', function () {
-    app = new Architect();
-
-    app.execute();
+  it('should prefer service startup timeout over global one', function (done) {
+    config = {
+      startup_timeout: 50,
+      services: {
+        serviceA: {
+          startup_timeout: 10,
+          module: function () {
+            return new Promise(resolve => {
+              setTimeout(() => { resolve('serviceA'); }, 20);
+            });
+          }
+        },
+        serviceB: {
+          startup_timeout: 100,
+          module: function () {
+            return new Promise(resolve => {
+              setTimeout(() => { resolve('serviceB'); }, 70);
+            });
+          }
+        }
+      }
+    };
 
-    assert.throws(
-      app.execute.bind(app),
-      /cannot execute the application twice/i
-    );
+    app = new Architect(config);
+    app
+      .execute()
+      .then(() => assert.fail('should fail'))
+      .catch(e => {
+        assert.match(e.message, /timeout of startup module `serviceA`/i);
+      })
+      .then(done, done);
   });
 
-  describe('#values', function () {
+  it('should list pending services when startup of module timeouted', function (done) {
+    config = {
+      services: {
+        http: { module: function () {}, dependencies: ['db', 'cache'] },
+        db: { startup_timeout: 10, module: function () { return new Promise(() => {}); } },
+        cache: { module: function () {} }
+      }
+    };
 
-    it('should return array of object values without keys', function () {
-      const test = { a: 'aa', b: 'bb' };
+    app = new Architect(config);
+    app
+      .execute()
+      .then(() => assert.fail('should fail'))
+      .catch(e => {
+        assert.instanceOf(e, Architect.StartupTimeoutError);
+        assert.deepEqual(e.starting, ['db']);
+        assert.deepEqual(e.awaiting, { http: ['db'] });
+        assert.include(e.message, 'Starting: db\nAwaiting: http (blocked by db)');
+      })
+      .then(done, done);
+  });
 
-      assert.deepEqual(Architect.values(test), ['aa', 'bb']);
-    });
+  it('should throw an error if startup deadline is exceeded', function (done) {
+    const slow = function () {
+      return new Promise(resolve => setTimeout(resolve, 15));
+    };
 
-  });
+    config = {
+      startup_deadline: 20,
+      services: {
+        http: { module: function () {}, dependencies: ['worker'] },
+        worker: { module: slow, dependencies: ['db'] },
+        db: { module: slow }
+      }
+    };
 
-  describe('#shutdown', function () {
+    app = new Architect(config);
+    app
+      .execute()
+      .then(() => assert.fail('should fail'))
+      .catch(e => {
+        assert.instanceOf(e, Architect.StartupDeadlineError);
+        assert.match(e.message, /startup deadline of 20ms is exceeded/i);
+        assert.include(e.message, 'Starting: worker\nAwaiting: http (blocked by worker)');
+        assert.deepEqual(e.starting, ['worker']);
+        assert.deepEqual(e.awaiting, { http: ['worker'] });
+      })
+      .then(done, done);
+  });
 
-    it('should support async shutdown', function (done) {
-      let called = false;
+  it('should reject at the deadline and roll back hung services afterwards', function (done) {
+    const stopped = sinon.spy();
+    const start = Date.now();
+    let release;
 
-      config = {
-        services: {
-          serviceA: {
-            module: function () {
-              return {
-                name: 'moduleA',
-                shutdown: function () {
-                  return new Promise(resolve => {
-                    setTimeout(() => {
-                      called = true;
-                      resolve();
-                    }, 20);
-                  });
-                }
-              };
-            }
-          }
+    config = {
+      startup_deadline: 20,
+      services: {
+        db: { module: function () { return { shutdown: stopped }; } },
+        hung: {
+          startup_timeout: 1000,
+          module: function () {
+            return new Promise(resolve => release = resolve);
+          },
+          dependencies: ['db']
         }
-      };
+      }
+    };
 
-      app = new Architect(config);
-      app
-        .execute()
-        .then(app.shutdown.bind(app))
-        .then(() => assert(called))
-        .then(done, done);
+    app = new Architect(config);
+    app
+      .execute()
+      .then(() => assert.fail('should fail'))
+      .catch(e => {
+        assert.instanceOf(e, Architect.StartupDeadlineError);
+        assert.isBelow(Date.now() - start, 500);
+        assert.notCalled(stopped);
 
-    });
+        release({});
 
-    it('should gracefuly shutdown services', function (done) {
-      const order = [];
+        return app.rollback;
+      })
+      .then(() => assert.calledOnce(stopped))
+      .then(done, done);
+  });
 
-      config = {
-        services: {
-          serviceA: {
-            module: function () {
-              order.push('start serviceA');
-              return Promise.resolve({
-                name: 'moduleA',
-                shutdown: function () {
-                  order.push('shutdown serviceA');
-                }
-              });
-            },
-            dependencies: ['serviceB']
-          },
-          serviceB: {
-            module: function () {
-              order.push('start serviceB');
-              return Promise.resolve({
-                name: 'moduleB',
-                shutdown: function () {
-                  order.push('shutdown serviceB');
-                }
-              });
-            }
-          }
-        }
+  it('should not fail when startup is finished before deadline', function (done) {
+    config = {
+      startup_deadline: 20,
+      services: {
+        db: { module: function () { return 'db'; } }
+      }
+    };
+
+    app = new Architect(config);
+    app
+      .execute()
+      .then(() => new Promise(resolve => setTimeout(resolve, 30)))
+      .then(() => assert.isFalse(app.failed))
+      .then(done, done);
+  });
+
+  it('should start only given services and their dependencies', function (done) {
+    const order = [];
+    const makeModule = function (name) {
+      return function () {
+        order.push(name);
+        return name;
       };
+    };
 
-      app = new Architect(config);
+    config = {
+      services: {
+        http: { module: makeModule('http'), dependencies: ['db'] },
+        worker: { module: makeModule('worker'), dependencies: ['queue', '?cache'] },
+        queue: { module: makeModule('queue'), dependencies: ['db'] },
+        cache: { module: makeModule('cache') },
+        db: { module: makeModule('db') },
+        migration: { module: makeModule('migration'), dependencies: ['missing'] }
+      }
+    };
 
-      app
-        .execute()
+    app = new Architect(config);
+
+    app
+      .execute({ only: ['worker'] })
+      .then(resolved => {
+        assert.sameMembers(order, ['worker', 'queue', 'cache', 'db']);
+        assert.deepEqual(Object.keys(resolved).sort(), ['cache', 'db', 'queue', 'worker']);
+      })
+      .then(done, done);
+  });
+
+  it('should reject if service to start was not found', function (done) {
+    config = {
+      services: {
+        serviceA: { module: function () { return 'moduleA'; } }
+      }
+    };
+
+    app = new Architect(config);
+
+    app
+      .execute({ only: ['serviceA', 'serviceB'] })
+      .then(() => assert.fail('should fail'))
+      .catch(e => {
+        assert.match(e.message, /service `serviceB` was not found/i);
+      })
+      .then(done, done);
+  });
+
+  it('should reject if service to start is ignored', function (done) {
+    const started = sinon.spy();
+
+    config = {
+      services: {
+        worker: { module: started, dependencies: ['db'], ignore: true },
+        db: { module: started }
+      }
+    };
+
+    app = new Architect(config);
+
+    app
+      .execute({ only: ['worker'] })
+      .then(() => assert.fail('should fail'))
+      .catch(e => {
+        assert.instanceOf(e, Architect.ServiceIgnoredError);
+        assert.equal(e.serviceName, 'worker');
+        assert.match(e.message, /service `worker` is ignored/i);
+        assert.notCalled(started);
+      })
+      .then(done, done);
+  });
+
+  describe('retry', function () {
+
+    it('should retry failed startup with exponential backoff', function (done) {
+      const calls = [];
+      const retrying = sinon.spy();
+      const start = Date.now();
+
+      config = {
+        services: {
+          serviceA: {
+            retry: { attempts: 3, delay: 10, factor: 3 },
+            module: function () {
+              calls.push(Date.now() - start);
+
+              if (calls.length === 1) {
+                throw new Error('Error in serviceA');
+              }
+
+              if (calls.length === 2) {
+                return Promise.reject(new Error('Error in serviceA'));
+              }
+
+              return 'moduleA';
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+      app.on('service:retrying', retrying);
+
+      app
+        .execute()
+        .then(resolved => {
+          assert.equal(resolved.serviceA, 'moduleA');
+          assert.lengthOf(calls, 3);
+          assert.isAtLeast(calls[1] - calls[0], 10);
+          assert.isAtLeast(calls[2] - calls[1], 30);
+          assert.calledTwice(retrying);
+          assert.calledWith(retrying, 'serviceA', sinon.match.instanceOf(Error), 2);
+        })
+        .then(done, done);
+    });
+
+    it('should fail when all attempts are exhausted', function (done) {
+      const module = sinon.stub().throws(new Error('Error in serviceA'));
+
+      config = {
+        services: {
+          serviceA: {
+            retry: { attempts: 2, delay: 1 },
+            module: module
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.match(e.message, /Error in serviceA/);
+          assert.calledTwice(module);
+        })
+        .then(done, done);
+    });
+
+    it('should not retry after the startup is aborted', function (done) {
+      const module = sinon.stub().throws(new Error('Error in serviceA'));
+
+      config = {
+        services: {
+          serviceA: {
+            startup_timeout: 10,
+            retry: { attempts: 3, delay: 20 },
+            module: module
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.instanceOf(e, Architect.StartupTimeoutError);
+        })
+        .then(() => new Promise(resolve => setTimeout(resolve, 30)))
+        .then(() => {
+          assert.calledOnce(module);
+        })
+        .then(done, done);
+    });
+
+  });
+
+  describe('class-based services', function () {
+
+    it('should instantiate class and call `start` and `stop`', function (done) {
+      const order = [];
+
+      class Database {
+        constructor(options) {
+          this.url = options.url;
+        }
+
+        start() {
+          order.push('start db');
+          return new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        stop() {
+          order.push('stop db ' + this.url);
+        }
+      }
+
+      class Http {
+        constructor(options, imports) {
+          this.db = imports.db;
+        }
+
+        start() {
+          order.push('start http ' + this.db.url);
+        }
+
+        stop() {
+          order.push('stop http');
+        }
+      }
+
+      config = {
+        services: {
+          db: { module: Database, options: { url: 'postgres://' } },
+          http: { module: Http, dependencies: ['db'] }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(resolved => {
+          assert.instanceOf(resolved.db, Database);
+          assert.instanceOf(resolved.http, Http);
+          return app.shutdown();
+        })
+        .then(() => {
+          assert.deepEqual(order, [
+            'start db',
+            'start http postgres://',
+            'stop http',
+            'stop db postgres://'
+          ]);
+        })
+        .then(done, done);
+    });
+
+    it('should call `start` and `stop` of object', function (done) {
+      const service = {
+        start: sinon.spy(),
+        stop: sinon.spy()
+      };
+
+      config = {
+        services: {
+          serviceA: { module: service, options: { a: 'a' } }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(resolved => {
+          assert.strictEqual(resolved.serviceA, service);
+          assert.calledWith(service.start, { a: 'a' }, sinon.match.has('__app__', app));
+          return app.shutdown();
+        })
+        .then(() => assert.calledOnce(service.stop))
+        .then(done, done);
+    });
+
+    it('should fail when `start` rejects', function (done) {
+      class Service {
+        start() {
+          return Promise.reject(new Error('Error in serviceA'));
+        }
+      }
+
+      app = new Architect({ services: { serviceA: { module: Service } } });
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => assert.match(e.message, /Error in serviceA/))
+        .then(done, done);
+    });
+
+    it('should check health of services', function (done) {
+      class Healthy {
+        start() {}
+        health() { return { connections: 1 }; }
+      }
+
+      class Unhealthy {
+        start() {}
+        health() { return Promise.reject(new Error('Connection lost')); }
+      }
+
+      config = {
+        services: {
+          serviceA: { module: Healthy },
+          serviceB: { module: Unhealthy },
+          serviceC: { module: function () { return 'moduleC'; } }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => app.checkHealth())
+        .then(health => {
+          assert.isFalse(health.healthy);
+          assert.deepEqual(Object.keys(health.services), ['serviceA', 'serviceB']);
+          assert.deepEqual(health.services.serviceA, { healthy: true, details: { connections: 1 } });
+          assert.isFalse(health.services.serviceB.healthy);
+          assert.match(health.services.serviceB.error.message, /Connection lost/);
+        })
+        .then(done, done);
+    });
+
+  });
+
+  describe('rollback', function () {
+
+    it('should stop started services in reverse order when startup fails', function (done) {
+      const order = [];
+      const makeModule = function (name) {
+        return function () {
+          return { shutdown: function () { order.push('shutdown ' + name); } };
+        };
+      };
+
+      config = {
+        services: {
+          db: { module: makeModule('db') },
+          http: { module: makeModule('http'), dependencies: ['db'] },
+          worker: {
+            module: function () {
+              return Promise.reject(new Error('Error in worker'));
+            },
+            dependencies: ['http']
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.match(e.message, /Error in worker/);
+          assert.deepEqual(order, ['shutdown http', 'shutdown db']);
+        })
+        .then(done, done);
+    });
+
+    it('should wait for starting services and stop them before the rejection', function (done) {
+      const stopped = sinon.spy();
+
+      config = {
+        services: {
+          serviceA: {
+            module: function () {
+              return new Promise(resolve => {
+                setTimeout(() => resolve({ shutdown: stopped }), 10);
+              });
+            }
+          },
+          serviceB: {
+            module: function () {
+              throw new Error('Error in serviceB');
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.match(e.message, /Error in serviceB/);
+          assert.calledOnce(stopped);
+        })
+        .then(done, done);
+    });
+
+    it('should stop starting services in reverse order and report their errors', function (done) {
+      const order = [];
+
+      config = {
+        services: {
+          db: {
+            module: function () {
+              return { shutdown: function () { order.push('shutdown db'); } };
+            }
+          },
+          slow: {
+            module: function () {
+              return new Promise(resolve => setTimeout(() => resolve({
+                shutdown: function () {
+                  order.push('shutdown slow');
+                  throw new Error('Error in slow shutdown');
+                }
+              }), 10));
+            },
+            dependencies: ['db']
+          },
+          bad: {
+            module: function () {
+              throw new Error('Error in bad');
+            },
+            dependencies: ['db']
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.match(e.message, /Error in bad/);
+          assert.deepEqual(order, ['shutdown slow', 'shutdown db']);
+          assert.lengthOf(e.rollbackErrors, 1);
+          assert.equal(e.rollbackErrors[0].serviceName, 'slow');
+        })
+        .then(done, done);
+    });
+
+    it('should stop services which finish startup after the timeout', function (done) {
+      const stopped = sinon.spy();
+
+      config = {
+        services: {
+          serviceA: {
+            startup_timeout: 5,
+            module: function () {
+              return new Promise(resolve => {
+                setTimeout(() => resolve({ shutdown: stopped }), 15);
+              });
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.instanceOf(e, Architect.StartupTimeoutError);
+          assert.notCalled(stopped);
+          return new Promise(resolve => setTimeout(resolve, 20));
+        })
+        .then(() => assert.calledOnce(stopped))
+        .then(done, done);
+    });
+
+    it('should report errors occurred during rollback', function (done) {
+      config = {
+        services: {
+          serviceA: {
+            module: function () {
+              return { shutdown: function () { throw new Error('Error in serviceA shutdown'); } };
+            }
+          },
+          serviceB: {
+            module: function () {
+              return Promise.reject(new Error('Error in serviceB'));
+            },
+            dependencies: ['serviceA']
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.match(e.message, /Error in serviceB/);
+          assert.match(e.message, /Error in serviceA shutdown/);
+          assert.lengthOf(e.rollbackErrors, 1);
+        })
+        .then(done, done);
+    });
+
+  });
+
+  it('should not allow to execute an application twice', function () {
+    app = new Architect();
+
+    app.execute();
+
+    assert.throws(
+      app.execute.bind(app),
+      /cannot execute the application twice/i
+    );
+  });
+
+  describe('errors', function () {
+
+    it('should be instances of error classes with code', function () {
+      const error = new Architect.ServiceStartupError('message', { serviceName: 'serviceA' });
+
+      assert.instanceOf(error, Error);
+      assert.instanceOf(error, Architect.ArchitectError);
+      assert.instanceOf(error, Architect.ServiceStartupError);
+      assert.equal(error.name, 'ServiceStartupError');
+      assert.equal(error.code, 'E_SERVICE_STARTUP');
+      assert.equal(error.serviceName, 'serviceA');
+      assert.match(error.stack, /^ServiceStartupError: message/);
+    });
+
+    it('should keep the cause', function (done) {
+      const cause = new Error('Error in serviceA');
+
+      app = new Architect({
+        services: {
+          serviceA: { module: function () { throw cause; } }
+        }
+      });
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.instanceOf(e, Architect.ServiceStartupError);
+          assert.equal(e.code, 'E_SERVICE_STARTUP');
+          assert.equal(e.serviceName, 'serviceA');
+          assert.strictEqual(e.cause, cause);
+          assert.include(e.stack, 'Caused by: ' + cause.stack);
+        })
+        .then(done, done);
+    });
+
+    [
+      ['ModuleLoadError', { serviceA: { path: 'path/not/exists' } }],
+      ['StartupTimeoutError', {
+        serviceA: { startup_timeout: 1, module: function () { return new Promise(() => {}); } }
+      }],
+      ['InvalidOptionsError', {
+        serviceA: { module: function () {}, schema: { required: ['a'] } }
+      }],
+      ['DependencyNotFoundError', {
+        serviceA: { module: function () {}, dependencies: ['serviceB'] }
+      }],
+      ['DependencyIgnoredError', {
+        serviceA: { module: function () {}, dependencies: ['serviceB'] },
+        serviceB: { module: function () {}, ignore: true }
+      }],
+      ['CircularDependencyError', {
+        serviceA: { module: function () {}, dependencies: ['serviceB'] },
+        serviceB: { module: function () {}, dependencies: ['serviceA'] }
+      }]
+    ].forEach(testCase => {
+      it('should reject with ' + testCase[0], function (done) {
+        app = new Architect({ services: testCase[1] });
+
+        app
+          .execute()
+          .then(() => assert.fail('should fail'))
+          .catch(e => {
+            assert.instanceOf(e, Architect[testCase[0]]);
+            assert.equal(e.serviceName, 'serviceA');
+          })
+          .then(done, done);
+      });
+    });
+
+    it('should reject shutdown with ServiceShutdownError', function (done) {
+      const cause = new Error('Error in serviceA');
+
+      app = new Architect({
+        services: {
+          serviceA: { module: function () { return { shutdown: () => { throw cause; } }; } }
+        }
+      });
+
+      app
+        .execute()
+        .then(app.shutdown.bind(app))
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.instanceOf(e, Architect.ServiceShutdownError);
+          assert.equal(e.serviceName, 'serviceA');
+          assert.strictEqual(e.cause, cause);
+        })
+        .then(done, done);
+    });
+
+    it('should combine multiple errors', function (done) {
+      app = new Architect({
+        services: {
+          serviceA: { module: function () {}, dependencies: ['serviceB', 'serviceC'] }
+        }
+      });
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.equal(e.code, 'E_MULTIPLE_ERRORS');
+          assert.lengthOf(e.errors, 2);
+          assert.instanceOf(e.errors[0], Architect.DependencyNotFoundError);
+          assert.equal(e.errors[1].dependency, 'serviceC');
+        })
+        .then(done, done);
+    });
+
+  });
+
+  describe('#values', function () {
+
+    it('should return array of object values without keys', function () {
+      const test = { a: 'aa', b: 'bb' };
+
+      assert.deepEqual(Architect.values(test), ['aa', 'bb']);
+    });
+
+  });
+
+  describe('#shutdown', function () {
+
+    it('should support async shutdown', function (done) {
+      let called = false;
+
+      config = {
+        services: {
+          serviceA: {
+            module: function () {
+              return {
+                name: 'moduleA',
+                shutdown: function () {
+                  return new Promise(resolve => {
+                    setTimeout(() => {
+                      called = true;
+                      resolve();
+                    }, 20);
+                  });
+                }
+              };
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+      app
+        .execute()
+        .then(app.shutdown.bind(app))
+        .then(() => assert(called))
+        .then(done, done);
+
+    });
+
+    it('should gracefuly shutdown services', function (done) {
+      const order = [];
+
+      config = {
+        services: {
+          serviceA: {
+            module: function () {
+              order.push('start serviceA');
+              return Promise.resolve({
+                name: 'moduleA',
+                shutdown: function () {
+                  order.push('shutdown serviceA');
+                }
+              });
+            },
+            dependencies: ['serviceB']
+          },
+          serviceB: {
+            module: function () {
+              order.push('start serviceB');
+              return Promise.resolve({
+                name: 'moduleB',
+                shutdown: function () {
+                  order.push('shutdown serviceB');
+                }
+              });
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(app.shutdown.bind(app))
+        .then(() => {
+          assert.deepEqual(order, [
+            'start serviceB',
+            'start serviceA',
+            'shutdown serviceA',
+            'shutdown serviceB'
+          ]);
+        })
+        .then(done, done);
+    });
+
+    it('should stop dependents before dependencies and independent services in parallel', function (done) {
+      const order = [];
+
+      const makeModule = function (name, delay) {
+        return function () {
+          return {
+            shutdown: function () {
+              order.push('stopping ' + name);
+              return new Promise(resolve => {
+                setTimeout(() => {
+                  order.push('stopped ' + name);
+                  resolve();
+                }, delay);
+              });
+            }
+          };
+        };
+      };
+
+      config = {
+        services: {
+          db: { module: makeModule('db', 5) },
+          http: { module: makeModule('http', 10), dependencies: ['db'] },
+          worker: { module: makeModule('worker', 20), dependencies: { storage: 'db' } }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(app.shutdown.bind(app))
+        .then(() => {
+          assert.deepEqual(order, [
+            'stopping http',
+            'stopping worker',
+            'stopped http',
+            'stopped worker',
+            'stopping db',
+            'stopped db'
+          ]);
+        })
+        .then(done, done);
+    });
+
+    it('should stop dependencies even if dependent failed to stop', function (done) {
+      let called = false;
+
+      config = {
+        services: {
+          serviceA: {
+            module: function () {
+              return { shutdown: function () { throw new Error('Error in serviceA'); } };
+            },
+            dependencies: ['serviceB']
+          },
+          serviceB: {
+            module: function () {
+              return { shutdown: function () { called = true; } };
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(app.shutdown.bind(app))
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.match(e.message, /Error in serviceA/);
+          assert.isTrue(called);
+        })
+        .then(done, done);
+    });
+
+    it('should throw an error if app is not fully started', function () {
+      app = new Architect({});
+
+      try {
+        app.shutdown();
+        assert.fail('should fail');
+      } catch (e) {
+        assert.instanceOf(e, Error);
+        assert.match(e.message, /started/i);
+      }
+    });
+
+    it('should throw an error if app has already been shut down', function (done) {
+      app = new Architect({});
+
+      app
+        .execute()
+        .then(app.shutdown.bind(app))
+        .then(() => {
+          assert.throws(app.shutdown.bind(app), /already been shut down/i);
+        })
+        .then(done, done);
+    });
+
+    it('should throw an error if shutdown function timeouted', function (done) {
+      config = {
+        shutdown_timeout: 10,
+        services: {
+          serviceA: {
+            module: function () {
+              return Promise.resolve({
+                name: 'moduleA',
+                shutdown: function () {
+                  return new Promise(resolve => {
+                    setTimeout(() => { resolve('serviceA'); }, 20);
+                  });
+                }
+              });
+            }
+          },
+          serviceB: {
+            module: function () {
+              return 'serviceB';
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+      app
+        .execute()
+        .then(app.shutdown.bind(app))
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.instanceOf(e, Error);
+          assert.match(e.message, /timeout/i);
+        })
+        .then(done, done);
+    });
+
+  });
+
+  describe('.fromFile', function () {
+
+    it('should load JSON config relative to the config directory', function (done) {
+      app = Architect.fromFile(path.join(__dirname, 'mocks', 'app.json'));
+
+      assert.equal(app.basePath, path.join(__dirname, 'mocks'));
+
+      app
+        .execute()
+        .then(resolved => {
+          assert.deepEqual(resolved, { http: { name: 'http' }, db: { name: 'db' } });
+        })
+        .then(done, done);
+    });
+
+    it('should merge environment overlay', function () {
+      app = Architect.fromFile(path.join(__dirname, 'mocks', 'app.json'), { env: 'production' });
+
+      assert.equal(app.startupTimeout, 1000);
+      assert.deepEqual(app.services.db.options, { name: 'production db' });
+      assert.deepEqual(app.services.http.options, { name: 'http' });
+      assert.deepEqual(app.services.http.dependencies, ['db']);
+    });
+
+    it('should ignore absent overlay', function () {
+      app = Architect.fromFile(path.join(__dirname, 'mocks', 'app.json'), { env: 'staging' });
+
+      assert.deepEqual(app.services.db.options, { name: 'db' });
+    });
+
+    it('should load JS config and resolve `basePath` relative to it', function () {
+      app = Architect.fromFile(path.join(__dirname, 'mocks', 'app.js'), { basePath: '..' });
+
+      assert.equal(app.basePath, __dirname);
+      assert.deepEqual(app.services.http.options, { name: 'http' });
+    });
+
+    it('should not share JS config between applications', function () {
+      const file = path.join(__dirname, 'mocks', 'app.js');
+      const first = Architect.fromFile(file);
+      const second = Architect.fromFile(file);
+
+      first.addService('extra', { module: function () {} });
+      first.setOption('http', 'name', 'changed');
+
+      assert.notProperty(second.services, 'extra');
+      assert.deepEqual(second.services.http.options, { name: 'http' });
+    });
+
+  });
+
+  describe('#getGraph', function () {
+
+    beforeEach(function () {
+      config = {
+        services: {
+          http: { module: function () {}, dependencies: { storage: 'db', cache: '?redis' } },
+          db: { module: function () {} },
+          redis: { module: function () {}, ignore: true },
+          'worker-1': { module: function () {}, dependencies: ['db'] }
+        }
+      };
+
+      app = new Architect(config);
+    });
+
+    it('should return adjacency structure by default', function () {
+      assert.deepEqual(app.getGraph(), {
+        http: {
+          ignored: false,
+          dependencies: [
+            { name: 'db', alias: 'storage', optional: false },
+            { name: 'redis', alias: 'cache', optional: true }
+          ]
+        },
+        db: { ignored: false, dependencies: [] },
+        redis: { ignored: true, dependencies: [] },
+        'worker-1': {
+          ignored: false,
+          dependencies: [{ name: 'db', alias: 'db', optional: false }]
+        }
+      });
+    });
+
+    it('should render graph as DOT', function () {
+      assert.equal(app.getGraph({ format: 'dot' }), [
+        'digraph architect {',
+        '  "http";',
+        '  "db";',
+        '  "redis" [label="redis (ignored)", style=dashed];',
+        '  "worker-1";',
+        '  "http" -> "db" [label="storage"];',
+        '  "http" -> "redis" [label="cache", style=dashed];',
+        '  "worker-1" -> "db";',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    it('should render graph as Mermaid', function () {
+      assert.equal(app.getGraph({ format: 'mermaid' }), [
+        'graph TD',
+        '  n0["http"]',
+        '  n1["db"]',
+        '  n2["redis (ignored)"]',
+        '  n3["worker-1"]',
+        '  n0 -->|"storage"| n1',
+        '  n0 -.->|"cache"| n2',
+        '  n3 --> n1',
+        ''
+      ].join('\n'));
+    });
+
+    it('should render distinct Mermaid nodes for similar names', function () {
+      app = new Architect({
+        services: {
+          'a-b': { module: function () {}, dependencies: { 'say "hi"': 'a_b' } },
+          a_b: { module: function () {} }
+        }
+      });
+
+      assert.equal(app.getGraph({ format: 'mermaid' }), [
+        'graph TD',
+        '  n0["a-b"]',
+        '  n1["a_b"]',
+        '  n0 -->|"say #quot;hi#quot;"| n1',
+        ''
+      ].join('\n'));
+    });
+
+    it('should throw an error if format is unknown', function () {
+      assert.throws(() => app.getGraph({ format: 'svg' }), /unknown graph format/i);
+    });
+
+  });
+
+  describe('#getStatus', function () {
+
+    it('should report awaiting services and their blocking dependencies', function (done) {
+      let release;
+
+      app = new Architect({
+        services: {
+          http: { module: function () {}, dependencies: ['db', 'logger', '?metrics'] },
+          db: { module: function () { return new Promise(resolve => release = resolve); } },
+          logger: { module: function () {} },
+          metrics: { module: function () {}, ignore: true }
+        }
+      });
+
+      app.on('service:started', name => {
+        if (name !== 'logger') return;
+
+        assert.deepEqual(app.getStatus(), {
+          http: { state: 'awaiting', blockedBy: ['db'] },
+          db: { state: 'starting', blockedBy: [] },
+          logger: { state: 'started', blockedBy: [] },
+          metrics: { state: 'ignored', blockedBy: [] }
+        });
+
+        setTimeout(() => release(), 1);
+      });
+
+      app
+        .execute()
+        .then(() => {
+          assert.equal(app.getStatus().http.state, 'started');
+        })
+        .then(done, done);
+    });
+
+    it('should report ignored services before execution', function () {
+      app = new Architect({
+        services: {
+          http: { module: function () {}, dependencies: ['db'] },
+          db: { module: function () {}, ignore: true }
+        }
+      });
+
+      assert.deepEqual(app.getStatus(), {
+        http: { state: 'awaiting', blockedBy: ['db'] },
+        db: { state: 'ignored', blockedBy: [] }
+      });
+    });
+
+    it('should report stopping and stopped services', function (done) {
+      let status;
+
+      app = new Architect({
+        services: {
+          http: { module: function () {}, dependencies: ['db'] },
+          db: { module: function () {} }
+        }
+      });
+
+      app.on('service:stopping', name => {
+        if (name === 'db') status = app.getStatus();
+      });
+
+      app
+        .execute()
+        .then(() => app.shutdown())
+        .then(() => {
+          assert.equal(status.http.state, 'stopped');
+          assert.equal(status.db.state, 'stopping');
+          assert.equal(app.getStatus().db.state, 'stopped');
+        })
+        .then(done, done);
+    });
+
+    it('should report failed services with the error', function (done) {
+      const error = new Error('Error in db');
+
+      app = new Architect({
+        services: {
+          http: { module: function () {}, dependencies: ['db'] },
+          db: { module: function () { throw error; } }
+        }
+      });
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(() => {
+          const status = app.getStatus();
+
+          assert.equal(status.db.state, 'failed');
+          assert.strictEqual(status.db.error.cause, error);
+          assert.deepEqual(status.http, { state: 'awaiting', blockedBy: ['db'] });
+        })
+        .then(done, done);
+    });
+
+  });
+
+  describe('lazy services', function () {
+
+    it('should start a lazy service on the first use', function (done) {
+      const reports = sinon.spy(() => ({ name: 'reports' }));
+      let handle;
+
+      app = new Architect({
+        services: {
+          admin: {
+            module: function (options, imports) {
+              handle = imports.reports;
+              return 'admin';
+            },
+            dependencies: ['reports']
+          },
+          reports: { module: reports, dependencies: ['db'], lazy: true },
+          db: { module: function () { return 'db'; } }
+        }
+      });
+
+      app
+        .execute()
+        .then(resolved => {
+          assert.notCalled(reports);
+          assert.notProperty(resolved, 'reports');
+          assert.equal(app.getStatus().reports.state, 'deferred');
+
+          return Promise.all([handle.get(), handle.get()]);
+        })
+        .then(services => {
+          assert.calledOnce(reports);
+          assert.equal(reports.firstCall.args[1].db, 'db');
+          assert.strictEqual(services[0], services[1]);
+          assert.strictEqual(app.resolved.reports, services[0]);
+          assert.equal(app.getStatus().reports.state, 'started');
+        })
+        .then(done, done);
+    });
+
+    it('should not wait for a lazy service used during the startup', function (done) {
+      let used;
+
+      app = new Architect({
+        services: {
+          admin: {
+            module: function (options, imports) {
+              used = imports.reports.get();
+              return 'admin';
+            },
+            dependencies: ['reports']
+          },
+          reports: {
+            module: function () {
+              return new Promise(resolve => setTimeout(() => resolve('reports'), 10));
+            },
+            lazy: true
+          }
+        }
+      });
+
+      app
+        .execute()
+        .then(() => {
+          assert.isTrue(app.started);
+          assert.equal(app.getStatus().reports.state, 'starting');
+
+          return used;
+        })
+        .then(service => {
+          assert.equal(service, 'reports');
+          assert.equal(app.getStatus().reports.state, 'started');
+        })
+        .then(done, done);
+    });
+
+    it('should start lazy dependencies of a lazy service', function (done) {
+      const order = [];
+      const makeModule = name => function () {
+        order.push(name);
+        return name;
+      };
+
+      app = new Architect({
+        services: {
+          reports: { module: makeModule('reports'), dependencies: ['renderer'], lazy: true },
+          renderer: { module: makeModule('renderer'), lazy: true }
+        }
+      });
+
+      app
+        .execute()
+        .then(() => {
+          assert.deepEqual(order, []);
+
+          return app.deferred.reports.get();
+        })
+        .then(service => {
+          assert.equal(service, 'reports');
+          assert.deepEqual(order, ['renderer', 'reports']);
+        })
+        .then(done, done);
+    });
+
+    it('should stop started lazy services on shutdown', function (done) {
+      const shutdown = sinon.spy();
+
+      app = new Architect({
+        services: {
+          reports: { module: function () { return { shutdown }; }, lazy: true },
+          admin: { module: function () { return 'admin'; }, lazy: true }
+        }
+      });
+
+      app
+        .execute()
+        .then(() => app.deferred.reports.get())
+        .then(() => app.shutdown())
+        .then(() => {
+          assert.calledOnce(shutdown);
+          assert.equal(app.getStatus().admin.state, 'deferred');
+
+          return app.deferred.admin.get();
+        })
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.instanceOf(e, Architect.ServiceStartupError);
+          assert.match(e.message, /cannot start lazy service `admin`/i);
+        })
+        .then(done, done);
+    });
+
+    it('should reject the handle without aborting the application', function (done) {
+      const error = new Error('Error in reports');
+
+      app = new Architect({
+        services: {
+          reports: { module: function () { throw error; }, lazy: true }
+        }
+      });
+
+      app
+        .execute()
+        .then(() => app.deferred.reports.get())
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.instanceOf(e, Architect.ServiceStartupError);
+          assert.strictEqual(e.cause, error);
+          assert.isTrue(app.started);
+          assert.isFalse(app.failed);
+          assert.equal(app.getStatus().reports.state, 'failed');
+        })
+        .then(done, done);
+    });
+
+  });
+
+  describe('#getTimings', function () {
+
+    const wait = (ms, value) => () => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+    it('should record startup times of services', function (done) {
+      app = new Architect({
+        services: {
+          http: { module: wait(5), dependencies: ['db'] },
+          db: { module: wait(20) }
+        }
+      });
+
+      app
+        .execute()
+        .then(() => {
+          const timings = app.getTimings();
+          const db = timings.services.db;
+          const http = timings.services.http;
+
+          assert.isAtMost(db.eligible, db.invoked);
+          assert.isAtLeast(db.resolved - db.invoked, 15);
+          assert.equal(db.duration, db.resolved - db.eligible);
+          assert.isAtLeast(http.eligible, db.resolved);
+          assert.equal(timings.total, http.resolved);
+        })
+        .then(done, done);
+    });
+
+    it('should find the critical path', function (done) {
+      app = new Architect({
+        services: {
+          http: { module: wait(1), dependencies: ['db', 'cache', '?metrics'] },
+          db: { module: wait(30), dependencies: ['logger'] },
+          cache: { module: wait(1), dependencies: ['logger'] },
+          logger: { module: wait(1) },
+          metrics: { module: function () {}, ignore: true }
+        }
+      });
+
+      app
+        .execute()
+        .then(() => {
+          assert.deepEqual(app.getTimings().criticalPath, ['logger', 'db', 'http']);
+        })
+        .then(done, done);
+    });
+
+    it('should not report services which are not started', function () {
+      app = new Architect({ services: { http: { module: function () {} } } });
+
+      assert.deepEqual(app.getTimings(), { total: 0, services: {}, criticalPath: [] });
+    });
+
+  });
+
+  describe('#plan', function () {
+
+    it('should return waves of services without starting them', function () {
+      const started = sinon.spy();
+
+      config = {
+        services: {
+          http: { module: started, dependencies: ['db', '?cache', '?metrics'] },
+          db: { module: started, dependencies: ['logger'] },
+          cache: { module: started, ignore: true },
+          logger: { module: started },
+          worker: { path: 'path/not/exists', dependencies: ['logger'] }
+        }
+      };
+
+      app = new Architect(config);
+
+      assert.deepEqual(app.plan(), {
+        waves: [['logger'], ['db', 'worker'], ['http']],
+        deferred: [],
+        ignored: ['cache'],
+        errors: []
+      });
+      assert.notCalled(started);
+    });
+
+    it('should plan only given services and their dependencies', function () {
+      config = {
+        services: {
+          http: { module: function () {}, dependencies: ['db'] },
+          worker: { module: function () {}, dependencies: ['db'] },
+          db: { module: function () {} }
+        }
+      };
+
+      app = new Architect(config);
+
+      assert.deepEqual(app.plan({ only: ['worker'] }), {
+        waves: [['db'], ['worker']],
+        deferred: [],
+        ignored: ['http'],
+        errors: []
+      });
+    });
+
+    it('should list lazy services as deferred', function () {
+      config = {
+        services: {
+          web: { module: function () {}, dependencies: ['reports', 'db'] },
+          reports: { module: function () {}, dependencies: ['renderer'], lazy: true },
+          renderer: { module: function () {}, lazy: true },
+          admin: { module: function () {}, dependencies: ['db'], lazy: true },
+          db: { module: function () {} }
+        }
+      };
+
+      app = new Architect(config);
+
+      const plan = app.plan();
+
+      assert.deepEqual(plan.waves, [['db'], ['web']]);
+      assert.deepEqual(plan.deferred, ['renderer', 'reports', 'admin']);
+    });
+
+    it('should return errors for ignored services to plan', function () {
+      config = {
+        services: {
+          worker: { module: function () {}, ignore: true }
+        }
+      };
+
+      app = new Architect(config);
+
+      const plan = app.plan({ only: ['worker'] });
+
+      assert.deepEqual(plan.waves, []);
+      assert.deepEqual(plan.errors.map(e => e.message), ['Service `worker` is ignored']);
+    });
+
+    it('should return errors of the config', function () {
+      config = {
+        services: {
+          serviceA: { module: function () {}, dependencies: ['serviceB'] },
+          serviceB: { module: function () {}, dependencies: ['serviceA'] },
+          serviceC: { module: function () {}, dependencies: ['serviceD'] },
+          serviceE: { module: function () {} }
+        }
+      };
+
+      app = new Architect(config);
+
+      const plan = app.plan();
+
+      assert.deepEqual(plan.waves, [['serviceE']]);
+      assert.deepEqual(plan.errors.map(e => e.message), [
+        'Dependency `serviceD` on `serviceC` was not found',
+        'Circular dependency detected: serviceA -> serviceB -> serviceA'
+      ]);
+    });
+
+    it('should return errors of forbidden aliases', function () {
+      config = {
+        services: {
+          serviceA: { module: function () {} },
+          serviceB: { module: function () {}, dependencies: { require: 'serviceA', a: 'serviceA' } }
+        }
+      };
+
+      app = new Architect(config);
+
+      const errors = app.plan().errors;
+
+      assert.lengthOf(errors, 1);
+      assert.equal(errors[0].message, 'Alias `require` on `serviceB` is forbidden.');
+      assert.equal(errors[0].code, 'E_FORBIDDEN_NAME');
+      assert.equal(errors[0].alias, 'require');
+    });
+
+  });
+
+  describe('events', function () {
+
+    it('should emit lifecycle events', function (done) {
+      const events = [];
+
+      config = {
+        services: {
+          serviceA: {
+            module: function () { return 'moduleA'; },
+            dependencies: ['serviceB']
+          },
+          serviceB: {
+            module: function () { return 'moduleB'; }
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      [
+        'service:starting', 'service:started', 'service:stopping',
+        'service:stopped', 'app:started', 'app:stopped'
+      ].forEach(event => {
+        app.on(event, name => {
+          events.push(typeof name === 'string' ? event + ' ' + name : event);
+        });
+      });
+
+      app
+        .execute()
         .then(app.shutdown.bind(app))
         .then(() => {
-          assert.deepEqual(order, [
-            'start serviceB',
-            'start serviceA',
-            'shutdown serviceB',
-            'shutdown serviceA'
+          assert.deepEqual(events, [
+            'service:starting serviceB',
+            'service:started serviceB',
+            'service:starting serviceA',
+            'service:started serviceA',
+            'app:started',
+            'service:stopping serviceA',
+            'service:stopped serviceA',
+            'service:stopping serviceB',
+            'service:stopped serviceB',
+            'app:stopped'
           ]);
         })
         .then(done, done);
     });
 
-    it('should throw an error if app is not fully started', function () {
-      app = new Architect({});
+    it('should emit `service:failed` event', function (done) {
+      const failed = sinon.spy();
 
-      try {
-        app.shutdown();
-        assert.fail('should fail');
-      } catch (e) {
-        assert.instanceOf(e, Error);
-        assert.match(e.message, /started/i);
-      }
+      config = {
+        services: {
+          serviceA: {
+            module: function () {
+              throw new Error('Error in serviceA');
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+      app.on('service:failed', failed);
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.calledOnce(failed);
+          assert.calledWith(failed, 'serviceA', e);
+        })
+        .then(done, done);
     });
 
-    it('should throw an error if shutdown function timeouted', function (done) {
+    [
+      ['throws', function () { throw new Error('Error in serviceA'); }],
+      ['rejects', function () { return Promise.reject(new Error('Error in serviceA')); }]
+    ].forEach(testCase => {
+      it('should not emit `service:failed` again when module ' + testCase[0], function (done) {
+        const failed = sinon.spy();
+
+        config = {
+          startup_timeout: 10,
+          services: {
+            serviceA: { module: testCase[1] }
+          }
+        };
+
+        app = new Architect(config);
+        app.on('service:failed', failed);
+
+        app
+          .execute()
+          .then(() => assert.fail('should fail'))
+          .catch(e => new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+            assert.calledOnce(failed);
+            assert.calledWith(failed, 'serviceA', e);
+          }))
+          .then(done, done);
+      });
+    });
+
+    it('should name the service which shutdown timeouted', function (done) {
       config = {
-        shutdown_timeout: 10,
+        shutdown_timeout: 50,
         services: {
           serviceA: {
             module: function () {
-              return Promise.resolve({
-                name: 'moduleA',
+              return {
                 shutdown: function () {
-                  return new Promise(resolve => {
-                    setTimeout(() => { resolve('serviceA'); }, 20);
-                  });
+                  return new Promise(resolve => setTimeout(resolve, 20));
                 }
-              });
+              };
             }
           },
           serviceB: {
+            shutdown_timeout: 10,
             module: function () {
-              return 'serviceB';
+              return {
+                shutdown: function () {
+                  return new Promise(resolve => setTimeout(resolve, 20));
+                }
+              };
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+      app
+        .execute()
+        .then(app.shutdown.bind(app))
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.match(e.message, /timeout of shutdown module `serviceB`/i);
+        })
+        .then(done, done);
+    });
+
+  });
+
+  describe('.createTestApp', function () {
+
+    afterEach(function () {
+      return Architect.stopTestApps();
+    });
+
+    beforeEach(function () {
+      config = {
+        services: {
+          http: {
+            module: function (options, imports) {
+              return { db: imports.db, shutdown: options.stopped };
+            },
+            dependencies: ['db']
+          },
+          db: { path: 'path/not/exists', dependencies: ['logger'] },
+          worker: { path: 'path/not/exists', dependencies: ['db'] }
+        }
+      };
+    });
+
+    it('should replace services and start only given ones', function () {
+      const fakeDb = { name: 'fake db' };
+
+      return Architect
+        .createTestApp(config, { only: ['http'], overrides: { db: fakeDb } })
+        .then(testApp => {
+          assert.instanceOf(testApp, Architect);
+          assert.deepEqual(Object.keys(testApp.resolved).sort(), ['db', 'http']);
+          assert.strictEqual(testApp.resolved.http.db, fakeDb);
+          assert.equal(config.services.db.path, 'path/not/exists');
+        });
+    });
+
+    it('should accept module function as `{ module }` override', function () {
+      config.services.db.options = { name: 'db' };
+
+      return Architect
+        .createTestApp(config, {
+          only: ['http'],
+          overrides: { db: { module: options => ({ name: options.name }) }, logger: {} }
+        })
+        .then(testApp => {
+          assert.deepEqual(testApp.resolved.http.db, { name: 'db' });
+        });
+    });
+
+    it('should inject function override as is', function () {
+      const fakeDb = sinon.stub();
+
+      return Architect
+        .createTestApp(config, { only: ['http'], overrides: { db: fakeDb } })
+        .then(testApp => {
+          assert.strictEqual(testApp.resolved.http.db, fakeDb);
+          assert.notCalled(fakeDb);
+        });
+    });
+
+    it('should shutdown started applications', function () {
+      const stopped = sinon.spy();
+
+      config.services.http.options = { stopped: stopped };
+
+      return Architect
+        .createTestApp(config, { only: ['http'], overrides: { db: {} } })
+        .then(testApp => {
+          const shutdown = testApp.shutdown();
+
+          return Promise.all([shutdown, Architect.stopTestApps()]);
+        })
+        .then(() => {
+          assert.calledOnce(stopped);
+
+          Architect.createTestApp(config, { only: ['http'], overrides: { db: {} } });
+
+          return Architect.stopTestApps();
+        })
+        .then(() => assert.calledTwice(stopped));
+    });
+
+  });
+
+  describe('#attachToProcess', function () {
+
+    let proc;
+
+    beforeEach(function () {
+      proc = new (require('events'))();
+      proc.exit = sinon.spy();
+    });
+
+    it('should shutdown the application on signal', function (done) {
+      const stopped = sinon.spy();
+
+      config = {
+        services: {
+          serviceA: { module: function () { return { shutdown: stopped }; } }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => {
+          app.attachToProcess({ process: proc });
+          proc.emit('SIGTERM');
+
+          return new Promise(resolve => app.once('app:stopped', resolve));
+        })
+        .then(() => {
+          assert.calledOnce(stopped);
+          assert.notCalled(proc.exit);
+        })
+        .then(done, done);
+    });
+
+    it('should set exit code and exit on shutdown failure', function (done) {
+      const onError = sinon.spy();
+
+      config = {
+        services: {
+          serviceA: {
+            module: function () {
+              return { shutdown: function () { throw new Error('Error in serviceA'); } };
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => {
+          app.attachToProcess({ process: proc, signals: ['SIGINT'], onError: onError });
+          proc.emit('SIGINT');
+
+          return new Promise(resolve => setTimeout(resolve, 10));
+        })
+        .then(() => {
+          assert.equal(proc.exitCode, 1);
+          assert.calledWith(proc.exit, 1);
+          assert.calledWith(onError, sinon.match.has('message', sinon.match(/Error in serviceA/)));
+        })
+        .then(done, done);
+    });
+
+    it('should exit immediately on second signal or after timeout', function (done) {
+      config = {
+        services: {
+          serviceA: {
+            shutdown_timeout: 1000,
+            module: function () {
+              return { shutdown: function () { return new Promise(() => {}); } };
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => {
+          app.attachToProcess({ process: proc, timeout: 10 });
+          proc.emit('SIGINT');
+          assert.notCalled(proc.exit);
+
+          proc.emit('SIGINT');
+          assert.calledOnce(proc.exit);
+
+          return new Promise(resolve => setTimeout(resolve, 20));
+        })
+        .then(() => {
+          assert.calledTwice(proc.exit);
+          assert.alwaysCalledWith(proc.exit, 1);
+        })
+        .then(done, done);
+    });
+
+    it('should roll back the startup on signal and exit', function (done) {
+      const order = [];
+      const onError = sinon.spy();
+
+      config = {
+        services: {
+          db: {
+            module: function () {
+              return { shutdown: function () { order.push('shutdown db'); } };
+            }
+          },
+          slow: {
+            module: function () {
+              return new Promise(resolve => setTimeout(() => resolve({
+                shutdown: function () { order.push('shutdown slow'); }
+              }), 10));
+            },
+            dependencies: ['db']
+          }
+        }
+      };
+
+      app = new Architect(config);
+      app.attachToProcess({ process: proc, onError: onError });
+      app.on('service:started', name => {
+        if (name === 'db') proc.emit('SIGTERM');
+      });
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.equal(e.code, 'E_STARTUP_INTERRUPTED');
+          assert.deepEqual(order, ['shutdown slow', 'shutdown db']);
+
+          return new Promise(resolve => setTimeout(resolve, 1));
+        })
+        .then(() => {
+          assert.equal(proc.exitCode, 1);
+          assert.calledOnce(proc.exit);
+          assert.calledWith(proc.exit, 1);
+          assert.notCalled(onError);
+        })
+        .then(done, done);
+    });
+
+    it('should wait for the longest chain of shutdown timeouts', function (done) {
+      const onError = sinon.spy();
+
+      config = {
+        shutdown_timeout: 10,
+        services: {
+          db: {
+            shutdown_timeout: 20,
+            module: function () {
+              return { shutdown: function () { return new Promise(() => {}); } };
             }
+          },
+          http: {
+            shutdown_timeout: 30,
+            module: function () {
+              return { shutdown: function () {} };
+            },
+            dependencies: ['db']
           }
         }
       };
 
-      app = new Architect(config);
-      app
-        .execute()
-        .then(app.shutdown.bind(app))
-        .then(() => assert.fail('should fail'))
-        .catch(e => {
-          assert.instanceOf(e, Error);
-          assert.match(e.message, /timeout/i);
+      app = new Architect(config);
+
+      assert.equal(app.getShutdownTimeout(), 50);
+
+      app
+        .execute()
+        .then(() => {
+          app.attachToProcess({ process: proc, onError: onError });
+          proc.emit('SIGTERM');
+
+          return new Promise(resolve => setTimeout(resolve, 40));
+        })
+        .then(() => {
+          assert.calledOnce(proc.exit);
+          assert.calledWith(proc.exit, 1);
+          assert.calledWith(onError, sinon.match.instanceOf(Architect.ShutdownTimeoutError));
+          assert.calledWith(onError, sinon.match.has('serviceName', 'db'));
+        })
+        .then(done, done);
+    });
+
+    it('should remove signal handlers', function () {
+      app = new Architect({});
+
+      const detach = app.attachToProcess({ process: proc });
+
+      assert.equal(proc.listenerCount('SIGINT'), 1);
+      assert.equal(proc.listenerCount('SIGTERM'), 1);
+
+      detach();
+
+      assert.equal(proc.listenerCount('SIGINT'), 0);
+      assert.equal(proc.listenerCount('SIGTERM'), 0);
+    });
+
+  });
+
+  describe('cli', function () {
+
+    let io, output;
+
+    const configPath = path.join(__dirname, 'mocks', 'app.json');
+
+    beforeEach(function () {
+      output = { stdout: '', stderr: '' };
+      io = {
+        process: new (require('events'))(),
+        stdout: { write: chunk => output.stdout += chunk },
+        stderr: { write: chunk => output.stderr += chunk }
+      };
+    });
+
+    it('should parse arguments', function () {
+      assert.deepEqual(
+        cli.parseArgs(['start', 'app.json', '--base-path', 'src', '--only=a,b', '--env', 'test', '--discover']),
+        {
+          positional: ['start', 'app.json'],
+          discover: true,
+          command: 'start',
+          config: 'app.json',
+          basePath: 'src',
+          env: 'test',
+          only: ['a', 'b']
+        }
+      );
+    });
+
+    it('should print usage for unknown command', function (done) {
+      cli
+        .run(['stop', configPath], io)
+        .then(code => {
+          assert.equal(code, 1);
+          assert.match(output.stderr, /usage/i);
+        })
+        .then(done, done);
+    });
+
+    it('should check the config', function (done) {
+      cli
+        .run(['check', configPath], io)
+        .then(code => {
+          assert.equal(code, 0);
+          assert.equal(output.stdout, '1: db\n2: http\n');
+        })
+        .then(done, done);
+    });
+
+    it('should print the graph', function (done) {
+      cli
+        .run(['graph', configPath, '--format', 'dot'], io)
+        .then(code => {
+          assert.equal(code, 0);
+          assert.include(output.stdout, '"http" -> "db";');
+        })
+        .then(done, done);
+    });
+
+    it('should start the application relative to the config directory', function (done) {
+      cli
+        .run(['start', configPath], io)
+        .then(code => {
+          assert.equal(code, 0);
+          assert.equal(io.process.listenerCount('SIGINT'), 1);
+          assert.equal(output.stderr, '');
+        })
+        .then(done, done);
+    });
+
+    it('should fail when the application cannot start', function (done) {
+      cli
+        .run(['start', configPath, '--base-path', '/path/not/exists'], io)
+        .then(code => {
+          assert.equal(code, 1);
+          assert.match(output.stderr, /path\/not\/exists/);
         })
         .then(done, done);
     });
 
   });
 
-  describe('require', function (done) {
+  describe('require', function () {
 
-    it('`require` is is forbidden service name', function () {
+    it('`require` is is forbidden service name', function (done) {
       config = {
         services: {
           require: {
@@ -459,7 +2519,7 @@ describe('architect', function () {
         .then(done, done);
     });
 
-    it('`requireDefault` is is forbidden service name', function () {
+    it('`requireDefault` is is forbidden service name', function (done) {
       config = {
         services: {
           requireDefault: {
@@ -482,7 +2542,7 @@ describe('architect', function () {
         .then(done, done);
     });
 
-    it('`require` is is forbidden alias', function () {
+    it('`require` is is forbidden alias', function (done) {
       config = {
         services: {
           serviceA: {
@@ -511,7 +2571,7 @@ describe('architect', function () {
         .then(done, done);
     });
 
-    it('`requireDefault` is is forbidden alias', function () {
+    it('`requireDefault` is is forbidden alias', function (done) {
       config = {
         services: {
           serviceA: {
@@ -553,6 +2613,135 @@ describe('architect', function () {
       assert.deepEqual(app.require(absolutePath), './mocks/test.js');
     });
 
+    it('#importDefault should import ES module', function (done) {
+      app = new Architect({}, path.join(__dirname, 'mocks'));
+
+      Promise
+        .all([
+          app.import('./esm.mjs'),
+          app.importDefault('./esm.mjs'),
+          app.importDefault('./es6.js'),
+          app.importDefault('./test')
+        ])
+        .then(modules => {
+          assert.equal(modules[0].name, 'esm');
+          assert.equal(modules[1](), 'moduleESM');
+          assert.equal(modules[2], './mocks/es6.js');
+          assert.equal(modules[3], './mocks/test.js');
+        })
+        .then(done, done);
+    });
+
+    it('should start services from ES modules', function (done) {
+      config = {
+        services: {
+          serviceA: { path: './esm.mjs' },
+          serviceB: { path: './esm-package' }
+        }
+      };
+
+      app = new Architect(config, path.join(__dirname, 'mocks'));
+
+      app
+        .execute()
+        .then(resolved => {
+          assert.deepEqual(resolved, { serviceA: 'moduleESM', serviceB: 'modulePackage' });
+        })
+        .then(done, done);
+    });
+
+    describe('packages', function () {
+
+      let tmpDir;
+
+      before(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'architect-'));
+
+        writeFiles(tmpDir, {
+          'app/node_modules/architect-plugin/package.json': '{ "main": "main.js" }',
+          'app/node_modules/architect-plugin/main.js': 'module.exports = "plugin";',
+          'app/node_modules/architect-plugin/lib/sub.js': 'module.exports = "plugin/sub";',
+          'app/node_modules/architect-service/index.js': 'module.exports = function () { return "plugin"; };',
+          'node_modules/parent-plugin/index.js': 'module.exports = "parent";',
+          'app/services/local.js': 'module.exports = "local";',
+          // packages in `node_modules` are not transpiled, so they stay native ES modules.
+          'app/node_modules/architect-esm/package.json': '{ "type": "module", "main": "index.js" }',
+          'app/node_modules/architect-esm/index.js': [
+            'const name = await Promise.resolve("esm");',
+            'export default function () { return name; }'
+          ].join('\n')
+        });
+      });
+
+      after(function () {
+        removeDir(tmpDir);
+      });
+
+      it('#require should resolve packages from `basePath`', function () {
+        app = new Architect({}, path.join(tmpDir, 'app'));
+
+        assert.equal(app.require('architect-plugin'), 'plugin');
+        assert.equal(app.require('architect-plugin/lib/sub'), 'plugin/sub');
+        assert.equal(app.require('parent-plugin'), 'parent');
+      });
+
+      it('#require should prefer modules relative to `basePath`', function () {
+        app = new Architect({}, path.join(tmpDir, 'app'));
+
+        assert.equal(app.require('services/local'), 'local');
+      });
+
+      it('#require should report tried locations', function () {
+        app = new Architect({}, path.join(tmpDir, 'app'));
+
+        try {
+          app.require('architect-missing');
+          assert.fail('should fail');
+        } catch (e) {
+          assert.equal(e.code, 'MODULE_NOT_FOUND');
+          assert.include(e.message, 'Cannot find module `architect-missing`');
+          assert.include(e.message, path.join(tmpDir, 'app', 'architect-missing'));
+          assert.include(e.message, path.join(tmpDir, 'app', 'node_modules'));
+          assert.include(e.message, path.join(tmpDir, 'node_modules'));
+        }
+      });
+
+      it('should start services from native ES module packages', function (done) {
+        config = {
+          services: {
+            serviceA: { path: 'architect-esm' },
+            serviceB: { path: './node_modules/architect-esm' },
+            serviceC: { path: path.join(tmpDir, 'app', 'node_modules', 'architect-esm') }
+          }
+        };
+
+        app = new Architect(config, path.join(tmpDir, 'app'));
+
+        app
+          .execute()
+          .then(resolved => {
+            assert.deepEqual(resolved, { serviceA: 'esm', serviceB: 'esm', serviceC: 'esm' });
+          })
+          .then(done, done);
+      });
+
+      it('should start service from package', function (done) {
+        config = {
+          services: {
+            serviceA: { path: 'architect-service' }
+          }
+        };
+
+        app = new Architect(config, path.join(tmpDir, 'app'));
+
+        app
+          .execute()
+          .then(resolved => assert.deepEqual(resolved, { serviceA: 'plugin' }))
+          .then(done, done);
+      });
+
+    });
+
     it('#requireDefault should return default export', function () {
       app = new Architect({}, path.join(__dirname, 'mocks'));
 
@@ -656,6 +2845,95 @@ describe('architect', function () {
 
   });
 
+  describe('#discover', function () {
+
+    let tmpDir;
+
+    const packageJson = function (name, architect) {
+      return JSON.stringify({ name: name, architect: architect });
+    };
+
+    before(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'architect-'));
+
+      writeFiles(tmpDir, {
+        'node_modules/architect-redis/package.json': packageJson('architect-redis', {
+          name: 'redis',
+          options: { host: 'localhost', port: 6379 }
+        }),
+        'node_modules/architect-redis/index.js':
+          'module.exports = function (options) { return { redis: options }; };',
+        'node_modules/@scope/architect-http/package.json': packageJson('@scope/architect-http', {
+          dependencies: { cache: 'redis' }
+        }),
+        'node_modules/@scope/architect-http/index.js':
+          'module.exports = function (options, imports) { return { http: imports.cache }; };',
+        'node_modules/lodash/package.json': '{ "name": "lodash" }',
+        'node_modules/.bin/tool': '',
+        'other/architect-redis/package.json': packageJson('other-redis', { name: 'redis' }),
+        'other/redis/package.json': packageJson('redis', {}),
+        'broken/architect-broken/package.json': '{ "name": '
+      });
+    });
+
+    after(function () {
+      removeDir(tmpDir);
+    });
+
+    it('should register services from installed packages', function (done) {
+      app = new Architect({}, tmpDir);
+
+      assert.deepEqual(app.discover(), ['@scope/architect-http', 'redis']);
+
+      app
+        .execute()
+        .then(resolved => {
+          assert.deepEqual(resolved.redis, { redis: { host: 'localhost', port: 6379 } });
+          assert.deepEqual(resolved['@scope/architect-http'], { http: resolved.redis });
+        })
+        .then(done, done);
+    });
+
+    it('should merge options from config', function () {
+      config = {
+        services: {
+          redis: { options: { port: 6380 } }
+        }
+      };
+
+      app = new Architect(config, tmpDir);
+      app.discover();
+
+      assert.deepEqual(app.services.redis, {
+        path: path.join(tmpDir, 'node_modules', 'architect-redis'),
+        options: { host: 'localhost', port: 6380 }
+      });
+    });
+
+    it('should throw an error if the service is declared twice', function () {
+      app = new Architect({}, tmpDir);
+
+      assert.throws(
+        () => app.discover(path.join(tmpDir, 'other')),
+        /cannot discover service `redis`/i
+      );
+    });
+
+    it('should throw an error if package.json is malformed', function () {
+      app = new Architect({}, tmpDir);
+
+      try {
+        app.discover(path.join(tmpDir, 'broken'));
+        assert.fail('should fail');
+      } catch (e) {
+        assert.instanceOf(e, Architect.ArchitectError);
+        assert.instanceOf(e.cause, SyntaxError);
+        assert.match(e.message, /cannot read `.*architect-broken.package\.json`/i);
+      }
+    });
+
+  });
+
   describe('#addDependency', function () {
 
     it('should add dependency to service (array)', function (done) {
@@ -751,6 +3029,40 @@ describe('architect', function () {
 
     });
 
+    it('should add optional dependency to service', function (done) {
+
+      config = {
+        services: {
+          serviceA: {
+            module: function (options, imports) {
+              imports.__app__.addDependency('serviceB', '?serviceC');
+              imports.__app__.addDependency('serviceB', '?serviceD', 'storage');
+              return 'moduleA';
+            }
+          },
+          serviceB: {
+            module: function (options, imports) {
+              assert.propertyVal(imports, 'serviceA', 'moduleA');
+              assert.propertyVal(imports, 'serviceC', 'moduleC');
+              assert.property(imports, 'storage');
+              assert.isUndefined(imports.storage);
+              return 'moduleB';
+            },
+            dependencies: ['serviceA']
+          },
+          serviceC: { module: function () { return 'moduleC'; } }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => {})
+        .then(done, done);
+
+    });
+
     it('should throw an error if the service does not exist', function (done) {
 
       config = {
@@ -822,7 +3134,8 @@ describe('architect', function () {
               return 'moduleA';
             }
           },
-          serviceB: { module: function () { return 'moduleB'; } },
+          // ignored to stay not started while modules are loaded asynchronously.
+          serviceB: { module: function () { return 'moduleB'; }, ignore: true },
           serviceC: { module: function () { return 'moduleC'; } }
         }
       };
@@ -842,6 +3155,271 @@ describe('architect', function () {
 
   });
 
+  describe('options interpolation', function () {
+
+    beforeEach(function () {
+      process.env.ARCHITECT_TEST_PORT = '8080';
+      process.env.ARCHITECT_TEST_EMPTY = '';
+      delete process.env.ARCHITECT_TEST_UNSET;
+    });
+
+    afterEach(function () {
+      delete process.env.ARCHITECT_TEST_PORT;
+      delete process.env.ARCHITECT_TEST_EMPTY;
+    });
+
+    it('should resolve environment variables and references to options', function (done) {
+      const module = sinon.stub().returns('module');
+
+      config = {
+        services: {
+          http: {
+            module: module,
+            options: {
+              port: '${env:ARCHITECT_TEST_PORT}',
+              url: 'http://${options:db.host}:${env:ARCHITECT_TEST_PORT}/',
+              db: '${options:db}',
+              list: ['${env:ARCHITECT_TEST_UNSET:-a}', '${env:ARCHITECT_TEST_EMPTY:-b}'],
+              empty: '${env:ARCHITECT_TEST_EMPTY}',
+              plain: 1
+            }
+          },
+          db: {
+            module: function () {},
+            options: { host: '${options:db.hosts.0}', hosts: ['localhost'], port: 5432 }
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => {
+          assert.calledWith(module, {
+            port: '8080',
+            url: 'http://localhost:8080/',
+            db: { host: 'localhost', hosts: ['localhost'], port: 5432 },
+            list: ['a', 'b'],
+            empty: '',
+            plain: 1
+          });
+          assert.equal(config.services.http.options.port, '${env:ARCHITECT_TEST_PORT}');
+        })
+        .then(done, done);
+    });
+
+    it('should resolve options changed by `setOption`', function (done) {
+      config = {
+        services: {
+          serviceA: {
+            module: function (options, imports) {
+              imports.__app__.setOption('serviceB', 'host', 'example.com');
+              return 'moduleA';
+            }
+          },
+          serviceB: {
+            module: function (options) {
+              assert.equal(options.url, 'http://example.com');
+              return 'moduleB';
+            },
+            options: { url: 'http://${options:serviceB.host}' },
+            dependencies: ['serviceA']
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => {})
+        .then(done, done);
+    });
+
+    [
+      [{ a: '${env:ARCHITECT_TEST_UNSET}' }, /environment variable `ARCHITECT_TEST_UNSET` is not defined/i],
+      [{ a: '${options:serviceA.b}' }, /option `serviceA.b`.*not defined/i],
+      [{ a: '${options:serviceB.a}' }, /service does not exist/i],
+      [{ a: '${options:serviceA.b}', b: '${options:serviceA.a}' }, /circular option reference/i],
+      [{ a: '${file:a.txt}' }, /unknown placeholder type `file`/i]
+    ].forEach(testCase => {
+      it('should fail when option cannot be resolved ' + JSON.stringify(testCase[0]), function (done) {
+        config = {
+          services: {
+            serviceA: { module: function () {}, options: testCase[0] }
+          }
+        };
+
+        app = new Architect(config);
+
+        app
+          .execute()
+          .then(() => assert.fail('should fail'))
+          .catch(e => {
+            assert.match(e.message, /options resolving \(serviceA\)/);
+            assert.match(e.message, testCase[1]);
+          })
+          .then(done, done);
+      });
+    });
+
+  });
+
+  describe('options schema', function () {
+
+    const optionsSchema = {
+      type: 'object',
+      required: ['host'],
+      properties: {
+        host: { type: 'string' },
+        port: { type: 'integer', minimum: 1, maximum: 65535, default: 80 },
+        mode: { enum: ['dev', 'prod'], default: 'dev' },
+        pool: {
+          type: 'object',
+          default: {},
+          additionalProperties: false,
+          properties: { size: { type: 'number', default: 10 } }
+        },
+        tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' } }
+      }
+    };
+
+    it('should fill options with defaults', function (done) {
+      const module = sinon.stub().returns('module');
+
+      config = {
+        services: {
+          serviceA: {
+            module: module,
+            schema: optionsSchema,
+            options: { host: 'localhost', tags: ['a'] }
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => {
+          assert.calledWith(module, {
+            host: 'localhost',
+            port: 80,
+            mode: 'dev',
+            pool: { size: 10 },
+            tags: ['a']
+          });
+          assert.deepEqual(config.services.serviceA.options, { host: 'localhost', tags: ['a'] });
+        })
+        .then(done, done);
+    });
+
+    it('should use schema declared by module', function (done) {
+      const module = sinon.stub().returns('module');
+      module.schema = optionsSchema;
+
+      config = {
+        services: {
+          serviceA: { module: module, options: { port: 'http' } }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.match(e.message, /invalid options of `serviceA`/i);
+          assert.match(e.message, /`port` should be integer/);
+          assert.match(e.message, /`host` is required/);
+          assert.notCalled(module);
+        })
+        .then(done, done);
+    });
+
+    it('should report all invalid options', function (done) {
+      config = {
+        services: {
+          serviceA: {
+            module: function () {},
+            schema: optionsSchema,
+            options: {
+              host: 'localhost',
+              port: 0,
+              mode: 'test',
+              pool: { size: 1, max: 2 },
+              tags: ['a', 'B']
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      app
+        .execute()
+        .then(() => assert.fail('should fail'))
+        .catch(e => {
+          assert.equal(e.message, [
+            'Invalid options of `serviceA`:',
+            '  `port` should be >= 1',
+            '  `mode` should be one of "dev", "prod"',
+            '  `pool.max` is not allowed',
+            '  `tags.1` should match ^[a-z]+$'
+          ].join('\n'));
+        })
+        .then(done, done);
+    });
+
+    it('should coerce interpolated strings to schema types', function (done) {
+      const module = sinon.stub().returns('module');
+
+      process.env.ARCHITECT_TEST_PORT = '8080';
+      process.env.ARCHITECT_TEST_DEBUG = 'true';
+
+      config = {
+        services: {
+          serviceA: {
+            module: module,
+            schema: {
+              properties: {
+                host: { type: 'string' },
+                port: { type: 'integer' },
+                debug: { type: 'boolean' }
+              }
+            },
+            options: {
+              host: '${env:ARCHITECT_TEST_PORT}',
+              port: '${env:ARCHITECT_TEST_PORT}',
+              debug: '${env:ARCHITECT_TEST_DEBUG}'
+            }
+          }
+        }
+      };
+
+      app = new Architect(config);
+
+      const cleanup = () => {
+        delete process.env.ARCHITECT_TEST_PORT;
+        delete process.env.ARCHITECT_TEST_DEBUG;
+      };
+
+      app
+        .execute()
+        .then(cleanup, e => {
+          cleanup();
+          throw e;
+        })
+        .then(() => {
+          assert.calledWith(module, { host: '8080', port: 8080, debug: true });
+        })
+        .then(done, done);
+    });
+
+  });
+
   describe('#setOption', function () {
 
     it('should add option for service', function (done) {
@@ -939,7 +3517,7 @@ describe('architect', function () {
 
     });
 
-    it.only('should add options for service even when service has no options', function (done) {
+    it('should add options for service even when service has no options', function (done) {
 
       config = {
         services: {
@@ -0,0 +1,8 @@
+module.exports = {
+  services: {
+    http: {
+      path: './service',
+      options: { name: 'http' }
+    }
+  }
+};
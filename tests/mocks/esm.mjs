@@ -0,0 +1,5 @@
+export const name = 'esm';
+
+export default function () {
+  return 'moduleESM';
+}
@@ -0,0 +1,3 @@
+module.exports = function (options) {
+  return { name: options.name };
+};